@@ -0,0 +1,352 @@
+//
+//  addToCartInterceptor.js
+//  SkipTheCart
+//
+
+/**
+ * Mindful pause for Add to Bag clicks
+ * ===================================
+ *
+ * A capture-phase click listener on window runs before any page handler,
+ * including the root listeners React uses for its synthetic events. When the
+ * click lands on one of the site's addToCartButton elements we hold it, show
+ * the product next to matching wardrobe items, and let the user decide. The
+ * click is only held once the prompt is up; if building it fails, the click
+ * goes through untouched.
+ *
+ * "Add anyway" replays the click by dispatching a copy of the original
+ * MouseEvent on the original target. Because dispatched click events still
+ * run activation behavior, this submits <form> based buttons and reaches
+ * React onClick handlers (Fashion Nova, H&M) alike. Replayed events are not
+ * trusted, which is how the interceptor recognises and ignores them.
+ */
+
+const MINDFUL_PAUSE_ID = 'stc-mindful-pause';
+
+let addToCartInterceptorInstalled = false;
+
+// Click held while the mindful pause prompt is open
+let pendingAddToCartClick = null;
+
+// Page URL for which the user already chose "Add anyway"
+let addToCartAllowedForUrl = null;
+
+function installAddToCartInterceptor() {
+  if (addToCartInterceptorInstalled) return;
+  addToCartInterceptorInstalled = true;
+
+  window.addEventListener('click', handleAddToCartClick, true);
+  console.log("Cart Image Extractor: Add to Bag interceptor installed");
+}
+
+function handleAddToCartClick(event) {
+  try {
+    // Replayed clicks and clicks scripted by the page are not user intent
+    if (!event.isTrusted || !currentSiteConfig) return;
+    if (addToCartAllowedForUrl === window.location.href) return;
+
+    const button = findClickedAddToCartButton(event.target);
+    if (!button) return;
+
+    pendingAddToCartClick = {
+      target: event.target,
+      button: button,
+      init: copyMouseEventInit(event)
+    };
+    showMindfulPausePrompt();
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    console.log("Cart Image Extractor: Holding Add to Bag click for mindful pause");
+    showDebugOverlay("Holding Add to Bag click");
+  } catch (error) {
+    // Let the click reach the site rather than swallow it
+    pendingAddToCartClick = null;
+    closeMindfulPausePrompt();
+    showDebugOverlay("ERROR in handleAddToCartClick: " + error.message);
+    console.error("Error in handleAddToCartClick:", error);
+  }
+}
+
+function findClickedAddToCartButton(target) {
+  if (!(target instanceof Element)) return null;
+
+  // Ignore clicks inside our own UI
+  if (target.closest(`#${MINDFUL_PAUSE_ID}, #cart-panel`)) return null;
+
+  for (const selector of getAddToCartSelectors()) {
+    const match = extendedQueryAll(document, selector).find(button => button.contains(target));
+    if (match) return match;
+  }
+  return null;
+}
+
+function copyMouseEventInit(event) {
+  return {
+    bubbles: event.bubbles,
+    cancelable: event.cancelable,
+    composed: event.composed,
+    view: window,
+    detail: event.detail,
+    screenX: event.screenX,
+    screenY: event.screenY,
+    clientX: event.clientX,
+    clientY: event.clientY,
+    ctrlKey: event.ctrlKey,
+    shiftKey: event.shiftKey,
+    altKey: event.altKey,
+    metaKey: event.metaKey,
+    button: event.button,
+    buttons: event.buttons
+  };
+}
+
+// Re-dispatch the held click as if the user had never been interrupted
+function replayAddToCartClick(pending) {
+  let target = pending.target;
+
+  // Frameworks may re-render the buy box while the prompt is open
+  if (!target.isConnected) {
+    target = pending.button.isConnected ? pending.button : findAddToCartButton();
+  }
+
+  if (!target) {
+    console.error("Cart Image Extractor: Add to Bag button disappeared, cannot replay click");
+    return;
+  }
+
+  addToCartAllowedForUrl = window.location.href;
+  console.log("Cart Image Extractor: Replaying Add to Bag click");
+  target.dispatchEvent(new MouseEvent('click', pending.init));
+}
+
+// ==============================================
+// MINDFUL PAUSE PROMPT
+// ==============================================
+
+function showMindfulPausePrompt() {
+  closeMindfulPausePrompt();
+  ensureMindfulPauseStyles();
+
+  const product = extractProductDetails();
+
+  const overlay = document.createElement('div');
+  overlay.id = MINDFUL_PAUSE_ID;
+  overlay.className = 'stc-mindful-pause';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'stc-mindful-pause__dialog';
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+
+  const title = document.createElement('div');
+  title.className = 'stc-mindful-pause__title';
+  title.textContent = 'Take a mindful pause';
+  dialog.appendChild(title);
+
+  const comparison = document.createElement('div');
+  comparison.className = 'stc-mindful-pause__comparison';
+
+  const productColumn = document.createElement('div');
+  productColumn.className = 'stc-mindful-pause__column';
+  const productLabel = document.createElement('div');
+  productLabel.className = 'stc-mindful-pause__label';
+  productLabel.textContent = 'Adding';
+  const productImage = document.createElement('img');
+  productImage.className = 'stc-mindful-pause__image';
+  productImage.src = product.imageUrl || '/api/placeholder/200/250';
+  productImage.alt = product.productName;
+  const productName = document.createElement('div');
+  productName.className = 'stc-mindful-pause__name';
+  productName.textContent = `${product.productName}${product.price ? ' · ' + product.price : ''}`;
+  productColumn.appendChild(productLabel);
+  productColumn.appendChild(productImage);
+  productColumn.appendChild(productName);
+  comparison.appendChild(productColumn);
+
+  const wardrobeColumn = document.createElement('div');
+  wardrobeColumn.className = 'stc-mindful-pause__column';
+  const wardrobeLabel = document.createElement('div');
+  wardrobeLabel.className = 'stc-mindful-pause__label';
+  wardrobeLabel.textContent = 'Already in your wardrobe';
+  const wardrobeItems = document.createElement('div');
+  wardrobeItems.className = 'stc-mindful-pause__wardrobe';
+  wardrobeItems.textContent = 'Loading…';
+  wardrobeColumn.appendChild(wardrobeLabel);
+  wardrobeColumn.appendChild(wardrobeItems);
+  comparison.appendChild(wardrobeColumn);
+
+  dialog.appendChild(comparison);
+
+  const actions = document.createElement('div');
+  actions.className = 'stc-mindful-pause__actions';
+
+  const skipButton = document.createElement('button');
+  skipButton.className = 'footer-button primary-button';
+  skipButton.textContent = 'Skip';
+  skipButton.addEventListener('click', function() {
+    console.log("Cart Image Extractor: User skipped Add to Bag");
+    pendingAddToCartClick = null;
+    closeMindfulPausePrompt();
+  });
+
+  const addAnywayButton = document.createElement('button');
+  addAnywayButton.className = 'footer-button secondary-button';
+  addAnywayButton.textContent = 'Add anyway';
+  addAnywayButton.addEventListener('click', function() {
+    const pending = pendingAddToCartClick;
+    pendingAddToCartClick = null;
+    closeMindfulPausePrompt();
+    if (pending) replayAddToCartClick(pending);
+  });
+
+  actions.appendChild(skipButton);
+  actions.appendChild(addAnywayButton);
+  dialog.appendChild(actions);
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  fetchAllWardrobeItems(function(items) {
+    renderMindfulPauseWardrobe(wardrobeItems, product, items);
+  });
+}
+
+// The wardrobe items most like the product (findProductWardrobeMatches in
+// productPage.js)
+function renderMindfulPauseWardrobe(container, product, items) {
+  container.innerHTML = '';
+
+  if (items.length === 0) {
+    container.textContent = 'No wardrobe items to compare yet.';
+    return;
+  }
+
+  const { product: classified, matches } = findProductWardrobeMatches(product, items);
+  if (matches.length === 0) {
+    container.textContent = describeProductMatches(classified, matches);
+    return;
+  }
+
+  matches.slice(0, 4).forEach(item => {
+    const thumb = document.createElement('img');
+    thumb.className = 'stc-mindful-pause__thumb';
+    thumb.src = item.image ? `data:image/jpeg;base64,${item.image}` : '/api/placeholder/200/250';
+    thumb.alt = `${item.colorLabel || ''} ${item.categoryName || 'Wardrobe item'}`.trim();
+    container.appendChild(thumb);
+  });
+}
+
+function closeMindfulPausePrompt() {
+  const existing = document.getElementById(MINDFUL_PAUSE_ID);
+  if (existing && existing.parentNode) {
+    existing.parentNode.removeChild(existing);
+  }
+}
+
+function ensureMindfulPauseStyles() {
+  if (document.getElementById('stc-mindful-pause-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'stc-mindful-pause-styles';
+  style.textContent = `
+    .stc-mindful-pause {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background-color: rgba(0,0,0,0.5);
+      z-index: 10000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-family: system-ui, -apple-system, sans-serif;
+    }
+
+    .stc-mindful-pause__dialog {
+      background-color: white;
+      border-radius: 8px;
+      padding: 16px;
+      width: 90%;
+      max-width: 420px;
+      color: #333;
+    }
+
+    .stc-mindful-pause__title {
+      font-size: 18px;
+      font-weight: bold;
+      text-align: center;
+      margin-bottom: 12px;
+    }
+
+    .stc-mindful-pause__comparison {
+      display: flex;
+      gap: 12px;
+      margin-bottom: 16px;
+    }
+
+    .stc-mindful-pause__column {
+      flex: 1;
+      text-align: center;
+    }
+
+    .stc-mindful-pause__label {
+      font-size: 12px;
+      color: #666;
+      margin-bottom: 8px;
+    }
+
+    .stc-mindful-pause__image {
+      width: 100%;
+      height: 160px;
+      object-fit: contain;
+      background-color: #f9f9f9;
+      border-radius: 8px;
+    }
+
+    .stc-mindful-pause__name {
+      font-size: 14px;
+      margin-top: 4px;
+    }
+
+    .stc-mindful-pause__wardrobe {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      justify-content: center;
+      font-size: 13px;
+      color: #777;
+    }
+
+    .stc-mindful-pause__thumb {
+      width: 64px;
+      height: 76px;
+      object-fit: contain;
+      background-color: #f9f9f9;
+      border-radius: 4px;
+    }
+
+    .stc-mindful-pause .footer-button {
+      width: 100%;
+      padding: 12px 16px;
+      border-radius: 4px;
+      font-size: 16px;
+      cursor: pointer;
+      margin-bottom: 8px;
+    }
+
+    .stc-mindful-pause .primary-button {
+      background-color: black;
+      color: white;
+      border: none;
+    }
+
+    .stc-mindful-pause .secondary-button {
+      background-color: white;
+      color: black;
+      border: 1px solid black;
+    }
+  `;
+  document.head.appendChild(style);
+}
@@ -1,3 +1,26 @@
+// Largest retailer image we will hand to the content script
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Retailer image CDNs fetchImageAsDataURL may fetch from; keep in step with
+// the image hosts in manifest.json's permissions
+const IMAGE_HOSTS = [
+    "static.zara.net",
+    "image.hm.com",
+    "lp2.hm.com",
+    "assets.aritzia.com",
+    "img.abercrombie.com",
+    "is4.revolveassets.com",
+    "images.urbndata.com",
+    "cdn.shopify.com"
+];
+
+// Native app actions the content script may request, mapped to the key that
+// holds the returned array in the native response
+const NATIVE_ITEM_ACTIONS = {
+    getBottoms: "bottoms",
+    getAllItems: "items"
+};
+
 browser.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     const timestamp = new Date().toLocaleTimeString();
     console.log(`[background.js] Received request at ${timestamp}: `, request);
@@ -5,32 +28,101 @@ browser.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     if (request.greeting === "hello") {
         console.log(`[background.js] Handling test greeting at ${timestamp}`);
         sendResponse({ farewell: "goodbye" });
-    } else if (request.action === "getBottoms") {
-        console.log(`[background.js] Sending native message for getBottoms to com.NealAndPrafull.ReturnGuard at ${timestamp}`);
-        try {
-            browser.runtime.sendNativeMessage("application", { action: "getBottoms" }, function(response) {
-                const responseTime = new Date().toLocaleTimeString();
-                if (browser.runtime.lastError) {
-                    console.error(`[background.js] Native messaging error at ${responseTime}: `, browser.runtime.lastError.message);
-                    sendResponse({ error: "Failed to get bottoms: " + browser.runtime.lastError.message });
-                    return;
-                }
-                console.log(`[background.js] Raw response from native app at ${responseTime}: `, response);
-                if (response && typeof response === "object" && Array.isArray(response.bottoms)) {
-                    console.log(`[background.js] Valid bottoms array received at ${responseTime}, sending to content script: `, response.bottoms);
-                    sendResponse({ bottoms: response.bottoms });
-                } else {
-                    console.error(`[background.js] Native app returned unexpected data format at ${responseTime}: `, response);
-                    sendResponse({ error: "Native app returned unexpected data format: " + (response ? JSON.stringify(response) : "undefined") });
-                }
-            });
-        } catch (error) {
-            console.error(`[background.js] Exception in sendNativeMessage at ${timestamp}: `, error.message);
-            sendResponse({ error: "Native messaging failed: " + error.message });
-        }
+    } else if (request.action === "getWardrobeItems") {
+        getWardrobeItems(request.categories, sendResponse);
+        return true; // Indicates asynchronous response
+    } else if (request.action === "fetchImageAsDataURL") {
+        fetchImageAsDataURL(request.url, sendResponse);
+        return true; // Indicates asynchronous response
+    } else if (NATIVE_ITEM_ACTIONS[request.action]) {
+        forwardNativeItemAction(request.action, NATIVE_ITEM_ACTIONS[request.action], sendResponse);
         return true; // Indicates asynchronous response
     } else {
         console.log(`[background.js] Unknown request action at ${timestamp}: `, request.action);
         sendResponse({ error: "Unknown action: " + (request.action || "undefined") });
     }
 });
+
+// Forward an item action to the native app and relay its array back
+function forwardNativeItemAction(action, responseKey, sendResponse) {
+    const timestamp = new Date().toLocaleTimeString();
+    console.log(`[background.js] Sending native message for ${action} to com.NealAndPrafull.ReturnGuard at ${timestamp}`);
+    try {
+        browser.runtime.sendNativeMessage("application", { action: action }, function(response) {
+            const responseTime = new Date().toLocaleTimeString();
+            if (browser.runtime.lastError) {
+                console.error(`[background.js] Native messaging error at ${responseTime}: `, browser.runtime.lastError.message);
+                sendResponse({ error: `Failed to ${action}: ` + browser.runtime.lastError.message });
+                return;
+            }
+            console.log(`[background.js] Raw response from native app at ${responseTime}: `, response);
+            if (response && typeof response === "object" && Array.isArray(response[responseKey])) {
+                console.log(`[background.js] Valid ${responseKey} array received at ${responseTime}, sending to content script: `, response[responseKey]);
+                sendResponse({ [responseKey]: response[responseKey] });
+            } else {
+                console.error(`[background.js] Native app returned unexpected data format at ${responseTime}: `, response);
+                sendResponse({ error: "Native app returned unexpected data format: " + (response ? JSON.stringify(response) : "undefined") });
+            }
+        });
+    } catch (error) {
+        console.error(`[background.js] Exception in sendNativeMessage at ${timestamp}: `, error.message);
+        sendResponse({ error: "Native messaging failed: " + error.message });
+    }
+}
+
+// Fetch every wardrobe item and keep those whose categoryName is in
+// `categories` (case-insensitive). Without categories all items are returned.
+function getWardrobeItems(categories, sendResponse) {
+    forwardNativeItemAction("getAllItems", "items", function(response) {
+        if (response.error || !Array.isArray(categories) || categories.length === 0) {
+            sendResponse(response);
+            return;
+        }
+        const wanted = categories.map(category => String(category).toLowerCase());
+        const items = response.items.filter(item => wanted.includes(String(item.categoryName || "").toLowerCase()));
+        console.log(`[background.js] Filtered ${response.items.length} wardrobe items to ${items.length} for categories: `, categories);
+        sendResponse({ items: items });
+    });
+}
+
+// Fetch a retailer image and return it as a data URL. Content scripts cannot
+// read cross-origin pixels from a canvas, but the background page can fetch
+// the hosts in manifest.json's permissions. Only IMAGE_HOSTS are fetched, so
+// a page cannot use this to read other URLs.
+function fetchImageAsDataURL(url, sendResponse) {
+    let parsed = null;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+    if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+        sendResponse({ error: "Invalid image URL: " + url });
+        return;
+    }
+    if (!IMAGE_HOSTS.includes(parsed.hostname)) {
+        sendResponse({ error: "Image host not allowed: " + parsed.hostname });
+        return;
+    }
+
+    fetch(url, { credentials: "omit" })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.blob();
+        })
+        .then(blob => {
+            if (!blob.type.startsWith("image/") || blob.size > MAX_IMAGE_BYTES) {
+                throw new Error(`Not a usable image (${blob.type}, ${blob.size} bytes)`);
+            }
+            const reader = new FileReader();
+            reader.onload = () => sendResponse({ dataUrl: reader.result });
+            reader.onerror = () => sendResponse({ error: "Failed to read image data" });
+            reader.readAsDataURL(blob);
+        })
+        .catch(error => {
+            console.error(`[background.js] Failed to fetch image ${url}: `, error.message);
+            sendResponse({ error: "Failed to fetch image: " + error.message });
+        });
+}
@@ -0,0 +1,264 @@
+//
+//  budget.js
+//  SkipTheCart
+//
+
+/**
+ * Monthly clothing budget
+ * =======================
+ *
+ * settings.monthlyBudget holds the user's budget (0 means none is set).
+ * Spending is kept per calendar month in browser.storage.local under
+ * `stc:budget:<YYYY-MM>`, with the month taken in the user's own timezone,
+ * so a new month starts from zero at local midnight on the 1st.
+ *
+ * A purchase is recorded when a site's order confirmation page loads: the
+ * cart snapshot saved on the cart page (checkoutCoolingOff.js) holds its
+ * total, and is used up by the purchase. Each order counts once, keyed by
+ * the order ID in the confirmation URL (a query parameter, else the page's
+ * path), so reloading the confirmation page does not charge it twice.
+ * Account order history pages are not confirmations and are not matched.
+ *
+ * Amounts are never converted between currencies; the budget bar only adds
+ * up purchases made in the cart's currency.
+ */
+
+const BUDGET_STORAGE_PREFIX = 'stc:budget:';
+
+// Months of spending history kept in storage
+const BUDGET_HISTORY_MONTHS = 12;
+
+// Used when a site does not declare cartDetection.orderConfirmationPatterns
+const DEFAULT_ORDER_CONFIRMATION_PATTERNS = ['/thank_you', '/thank-you', '/thankyou', 'order-confirmation'];
+
+// Query parameters that carry the order ID on confirmation pages
+const ORDER_ID_URL_PARAMS = ['order_id', 'orderId', 'orderNumber', 'order'];
+
+// Share of the budget after which the bar turns amber
+const BUDGET_WARNING_FRACTION = 0.8;
+
+// ==============================================
+// SPENDING RECORDS
+// ==============================================
+
+// "2025-06" for the month `date` (default now) falls in, in local time
+function budgetMonthKey(date) {
+  const when = date || new Date();
+  return `${when.getFullYear()}-${String(when.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * @returns {Promise<{month: string, purchases: Object[]}>} purchases are
+ *          { site, orderId, cartHash, amount, currency, recordedAt }
+ */
+function loadMonthlySpending(month) {
+  const key = BUDGET_STORAGE_PREFIX + (month || budgetMonthKey());
+  return browser.storage.local.get(key)
+    .then(result => result[key] || { month: month || budgetMonthKey(), purchases: [] })
+    .catch(error => {
+      console.error("Cart Image Extractor: Failed to load budget spending:", error);
+      return { month: month || budgetMonthKey(), purchases: [] };
+    });
+}
+
+// Total spent in `currency`; purchases without a currency count towards any
+function sumSpending(spending, currency) {
+  return spending.purchases
+    .filter(purchase => !currency || !purchase.currency || purchase.currency === currency)
+    .reduce((total, purchase) => total + purchase.amount, 0);
+}
+
+// Add a purchase to this month unless the same order was already recorded
+function recordPurchase(purchase) {
+  const month = budgetMonthKey();
+  return loadMonthlySpending(month).then(spending => {
+    const duplicate = spending.purchases.some(existing =>
+      existing.site === purchase.site && existing.orderId === purchase.orderId
+    );
+    if (duplicate) {
+      console.log("Cart Image Extractor: Purchase already counted against the budget");
+      return spending;
+    }
+
+    spending.purchases.push(Object.assign({ recordedAt: Date.now() }, purchase));
+    return browser.storage.local.set({ [BUDGET_STORAGE_PREFIX + month]: spending })
+      .then(pruneOldBudgetMonths)
+      .then(() => spending);
+  });
+}
+
+function pruneOldBudgetMonths() {
+  const oldest = new Date();
+  oldest.setMonth(oldest.getMonth() - BUDGET_HISTORY_MONTHS + 1, 1);
+  const oldestKey = BUDGET_STORAGE_PREFIX + budgetMonthKey(oldest);
+
+  return browser.storage.local.get(null).then(all => {
+    // Month keys sort chronologically as strings
+    const expired = Object.keys(all).filter(key => key.startsWith(BUDGET_STORAGE_PREFIX) && key < oldestKey);
+    return expired.length > 0 ? browser.storage.local.remove(expired) : undefined;
+  });
+}
+
+// ==============================================
+// PURCHASE DETECTION
+// ==============================================
+
+function checkForOrderConfirmationURL() {
+  if (!currentSiteConfig) return false;
+
+  const patterns = currentSiteConfig.cartDetection.orderConfirmationPatterns || DEFAULT_ORDER_CONFIRMATION_PATTERNS;
+  return patterns.some(pattern => window.location.pathname.includes(pattern));
+}
+
+// The order ID from a query parameter, else the confirmation path itself
+// (Shopify's /checkouts/<token>/thank_you names the checkout)
+function orderIdFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const param = ORDER_ID_URL_PARAMS.find(name => params.get(name));
+  return param ? params.get(param) : window.location.pathname;
+}
+
+// Entry point from handleURLChange on order confirmation URLs
+function recordCheckoutPurchase() {
+  const key = LAST_CART_STORAGE_PREFIX + currentSiteConfig.key;
+
+  return browser.storage.local.get(key)
+    .then(result => {
+      const snapshot = result[key];
+      if (!snapshot || !snapshot.total) {
+        console.log("Cart Image Extractor: No cart total to record for this order");
+        return null;
+      }
+
+      console.log("Cart Image Extractor: Recording purchase against the budget", snapshot.total);
+      showDebugOverlay("Order confirmed, updating budget");
+      return recordPurchase({
+        site: currentSiteConfig.key,
+        orderId: orderIdFromURL(),
+        cartHash: snapshot.hash,
+        amount: snapshot.total.amount,
+        currency: snapshot.total.currency
+      }).then(spending => {
+        // The next confirmation page must not charge this cart again
+        return browser.storage.local.remove(key).then(() => spending);
+      });
+    })
+    .catch(error => {
+      showDebugOverlay("ERROR in recordCheckoutPurchase: " + error.message);
+      console.error("Error in recordCheckoutPurchase:", error);
+    });
+}
+
+// ==============================================
+// BUDGET BAR
+// ==============================================
+
+/**
+ * Where this cart leaves the budget.
+ *
+ * @returns {{budget: number, spent: number, cart: number, remaining: number, status: string}}
+ *          status is 'ok', 'warning' (past BUDGET_WARNING_FRACTION) or 'over'
+ */
+function computeBudgetImpact(budget, spent, cartTotal) {
+  const afterCheckout = spent + cartTotal;
+  const remaining = Math.round((budget - afterCheckout) * 100) / 100;
+  return {
+    budget: budget,
+    spent: spent,
+    cart: cartTotal,
+    remaining: remaining,
+    status: remaining < 0 ? 'over' : afterCheckout >= budget * BUDGET_WARNING_FRACTION ? 'warning' : 'ok'
+  };
+}
+
+/**
+ * Spent so far, this cart and what is left after checkout. Without a budget
+ * it offers to set one. `onBudgetChange(settings)` runs after a new budget
+ * is saved.
+ */
+function createBudgetBar(cartState, onBudgetChange) {
+  const settings = cartState.settings || DEFAULT_EXTENSION_SETTINGS;
+  const total = resolveCartTotal(cartState.summary, cartState.items);
+  const currency = total ? total.currency : null;
+
+  const bar = document.createElement('div');
+  bar.className = 'budget-bar';
+
+  if (!settings.monthlyBudget) {
+    bar.appendChild(createBudgetForm(null, onBudgetChange));
+    return bar;
+  }
+
+  const spending = cartState.spending || { purchases: [] };
+  const impact = computeBudgetImpact(settings.monthlyBudget, sumSpending(spending, currency), total ? total.amount : 0);
+  bar.classList.add(`budget-bar-${impact.status}`);
+
+  const summary = document.createElement('div');
+  summary.className = 'budget-bar-summary';
+  summary.textContent = impact.remaining < 0
+    ? `This cart puts you ${formatMoney(-impact.remaining, currency)} over your ${formatMoney(impact.budget, currency)} budget`
+    : `${formatMoney(impact.remaining, currency)} of ${formatMoney(impact.budget, currency)} left after checkout`;
+  bar.appendChild(summary);
+
+  // Spent so far, then this cart, on one track
+  const track = document.createElement('div');
+  track.className = 'budget-bar-track';
+  const spentFill = document.createElement('div');
+  spentFill.className = 'budget-bar-spent';
+  spentFill.style.width = `${Math.min(impact.spent / impact.budget, 1) * 100}%`;
+  const cartFill = document.createElement('div');
+  cartFill.className = 'budget-bar-cart';
+  cartFill.style.width = `${Math.max(0, Math.min(impact.cart / impact.budget, 1 - impact.spent / impact.budget)) * 100}%`;
+  track.appendChild(spentFill);
+  track.appendChild(cartFill);
+  bar.appendChild(track);
+
+  const legend = document.createElement('div');
+  legend.className = 'budget-bar-legend';
+  legend.textContent = `Spent ${formatMoney(impact.spent, currency)} · This cart ${total ? formatMoney(impact.cart, currency) : 'unknown'}`;
+  const editButton = document.createElement('button');
+  editButton.className = 'budget-bar-edit';
+  editButton.textContent = 'Edit';
+  editButton.addEventListener('click', function() {
+    bar.replaceChild(createBudgetForm(settings.monthlyBudget, onBudgetChange), legend);
+  });
+  legend.appendChild(editButton);
+  bar.appendChild(legend);
+
+  return bar;
+}
+
+function createBudgetForm(currentBudget, onBudgetChange) {
+  const form = document.createElement('form');
+  form.className = 'budget-bar-form';
+
+  const label = document.createElement('label');
+  label.textContent = 'Monthly clothing budget ';
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '0';
+  input.step = '1';
+  input.className = 'budget-bar-input';
+  input.value = currentBudget ? String(currentBudget) : '';
+  input.placeholder = '200';
+  label.appendChild(input);
+  form.appendChild(label);
+
+  const saveButton = document.createElement('button');
+  saveButton.type = 'submit';
+  saveButton.className = 'budget-bar-save';
+  saveButton.textContent = 'Save';
+  form.appendChild(saveButton);
+
+  form.addEventListener('submit', function(event) {
+    event.preventDefault();
+    const budget = parseFloat(input.value);
+    if (!isFinite(budget) || budget < 0) return;
+
+    saveExtensionSettings({ monthlyBudget: budget })
+      .then(settings => onBudgetChange && onBudgetChange(settings))
+      .catch(error => console.error("Cart Image Extractor: Failed to save budget:", error));
+  });
+
+  return form;
+}
@@ -0,0 +1,135 @@
+//
+//  cartReadiness.js
+//  SkipTheCart
+//
+
+/**
+ * Cart readiness
+ * ==============
+ *
+ * waitForCart resolves once the cart page has really rendered, as described
+ * by the optional `readiness` block of the site's SITE_CONFIGS entry (missing
+ * fields take DEFAULT_CART_READINESS):
+ *
+ *   requiredSelectors  selectors that must each match (a selector may list
+ *                      alternatives, "a, b"); defaults to any of
+ *                      cartDetection.domSelectors
+ *   minItems           cart lines (itemSelectors.container, else
+ *                      fallbackContainers) that must be on the page
+ *   stableFor          ms the line count must stay the same, so a cart that
+ *                      is still filling in is not read half-way
+ *   maxWait            ms after which waiting stops with the reason
+ *
+ * The page is re-checked on DOM mutations instead of on fixed delays. The
+ * wait belongs to ROUTE_SCOPE (lifecycleManager.js); a route change ends it
+ * with `cancelled` set.
+ */
+
+const DEFAULT_CART_READINESS = {
+  requiredSelectors: null,
+  minItems: 1,
+  stableFor: 300,
+  maxWait: 10000
+};
+
+// Coalesce bursts of mutations into one check
+const CART_READINESS_CHECK_DELAY = 50;
+
+/**
+ * @returns {Promise<{ready: boolean, cancelled: boolean, itemCount: number, waited: number, reason: ?string}>}
+ *          reason explains why the cart was not ready
+ */
+function waitForCart(siteConfig) {
+  const readiness = Object.assign({}, DEFAULT_CART_READINESS, siteConfig.readiness);
+  const requiredSelectors = readiness.requiredSelectors || [siteConfig.cartDetection.domSelectors.join(', ')];
+  const startedAt = Date.now();
+
+  return new Promise(resolve => {
+    let settled = false;
+    let pendingCheck = null;
+    let lastCount = -1;
+    let stableSince = null;
+    let lastProblem = 'the page has not been checked yet';
+
+    const finish = (ready, reason, cancelled) => {
+      if (settled) return;
+      settled = true;
+      observer.disconnect();
+      clearTimeout(pendingCheck);
+      clearTimeout(deadline);
+      lifecycle.dispose();
+
+      const result = {
+        ready: ready,
+        cancelled: Boolean(cancelled),
+        itemCount: Math.max(lastCount, 0),
+        waited: Date.now() - startedAt,
+        reason: reason || null
+      };
+      console.log(`Cart Image Extractor: ${ready ? 'Cart ready' : 'Cart not ready'} after ${result.waited}ms`, result);
+      resolve(result);
+    };
+
+    const check = () => {
+      pendingCheck = null;
+      const missing = requiredSelectors.find(selector => !findOutsidePanel(selector).length);
+      const count = missing ? 0 : countCartLines(siteConfig, readiness);
+
+      if (count !== lastCount) {
+        lastCount = count;
+        stableSince = Date.now();
+      }
+
+      if (missing) {
+        lastProblem = `required selector "${missing}" never matched`;
+        return;
+      }
+      if (count < readiness.minItems) {
+        lastProblem = `found ${count} of ${readiness.minItems} cart item(s)`;
+        return;
+      }
+
+      const stableFor = Date.now() - stableSince;
+      if (stableFor >= readiness.stableFor) {
+        finish(true);
+        return;
+      }
+      lastProblem = `the item count was still changing (${count} items)`;
+      scheduleCheck(readiness.stableFor - stableFor);
+    };
+
+    const scheduleCheck = (delay) => {
+      if (settled) return;
+      clearTimeout(pendingCheck);
+      pendingCheck = setTimeout(check, delay);
+    };
+
+    const observer = new MutationObserver(() => {
+      if (!pendingCheck) scheduleCheck(CART_READINESS_CHECK_DELAY);
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+
+    const deadline = setTimeout(() => {
+      check();
+      finish(false, `timed out after ${readiness.maxWait}ms: ${lastProblem}`);
+    }, readiness.maxWait);
+    const lifecycle = trackDisposable(ROUTE_SCOPE, () => finish(false, 'the route changed while waiting', true));
+
+    scheduleCheck(0);
+  });
+}
+
+// Cart lines on the page: the first item container selector that matches,
+// else the site's fallback containers
+function countCartLines(siteConfig, readiness) {
+  for (const selector of siteConfig.itemSelectors.container) {
+    const lines = findOutsidePanel(selector);
+    if (lines.length > 0) return lines.length;
+  }
+  const fallbackContainers = readiness.fallbackContainers || [];
+  return fallbackContainers.length > 0 ? findOutsidePanel(fallbackContainers.join(', ')).length : 0;
+}
+
+function findOutsidePanel(selector) {
+  return extendedQueryAll(document, selector).filter(element => !element.closest('#cart-panel'));
+}
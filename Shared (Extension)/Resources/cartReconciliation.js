@@ -0,0 +1,101 @@
+//
+//  cartReconciliation.js
+//  SkipTheCart
+//
+
+/**
+ * Cart reconciliation
+ * ===================
+ *
+ * Every cart line gets an id that survives re-renders and re-extraction,
+ * from the first of:
+ *   sku:<sku>          SKU, when the cart exposes it (Shopify cart.js)
+ *   variant:<id>       variant ID from cart.js, the product link or the line
+ *   url:<hash>         product URL with size and color
+ *   item:<hash>        product name with size and color
+ * A second line with the same id (the same variant with different line
+ * properties) gets "#2", a third "#3" and so on, in page order.
+ *
+ * reconcileCartItems merges a fresh extraction into the panel state by id:
+ * new lines are added, lines still present are updated in place so per-item
+ * UI state (currentSimilarIndex) survives, and lines that are gone are
+ * dropped. Lines whose name, variant or photo changed are reported as
+ * `rematched`, since their wardrobe matches have to be rebuilt.
+ */
+
+// Fields that decide what a cart item matches in the wardrobe
+const CART_ITEM_MATCH_FIELDS = ['productName', 'size', 'color', 'imageUrl', 'category'];
+
+// Fields whose change means the panel has to be redrawn
+const CART_ITEM_DISPLAY_FIELDS = CART_ITEM_MATCH_FIELDS.concat(['price', 'quantity', 'productUrl', 'variantId']);
+
+function cartItemKey(item) {
+  if (item.sku) return `sku:${item.sku}`;
+  if (item.variantId) return `variant:${item.variantId}`;
+
+  const variant = [item.size || '', item.color || ''].join('|');
+  if (item.productUrl) return `url:${hashString(`${item.productUrl}|${variant}`.toLowerCase())}`;
+  return `item:${hashString(`${item.productName || ''}|${variant}`.toLowerCase())}`;
+}
+
+// Set `id` on each item, numbering repeats of the same key
+function assignCartItemIds(items) {
+  const seen = {};
+  items.forEach(item => {
+    const key = cartItemKey(item);
+    seen[key] = (seen[key] || 0) + 1;
+    item.id = seen[key] === 1 ? key : `${key}#${seen[key]}`;
+  });
+  return items;
+}
+
+/**
+ * @param {Object[]} currentItems Cart state items
+ * @param {Object[]} freshItems   Newly extracted items with ids assigned
+ * @returns {{items: Object[], added: Object[], rematched: Object[], removed: Object[], changed: boolean}}
+ *          items is the new state list in page order; changed is false when
+ *          the panel would look the same
+ */
+function reconcileCartItems(currentItems, freshItems) {
+  const currentById = new Map(currentItems.map(item => [item.id, item]));
+  const added = [];
+  const rematched = [];
+  let changed = freshItems.length !== currentItems.length;
+
+  const items = freshItems.map((fresh, index) => {
+    const existing = currentById.get(fresh.id);
+    if (!existing) {
+      fresh.currentSimilarIndex = 0;
+      added.push(fresh);
+      changed = true;
+      return fresh;
+    }
+
+    if (currentItems[index] !== existing ||
+        describeCartItem(existing, CART_ITEM_DISPLAY_FIELDS) !== describeCartItem(fresh, CART_ITEM_DISPLAY_FIELDS)) {
+      changed = true;
+    }
+    if (describeCartItem(existing, CART_ITEM_MATCH_FIELDS) !== describeCartItem(fresh, CART_ITEM_MATCH_FIELDS)) {
+      rematched.push(existing);
+    }
+
+    // Fresh values and page elements, existing per-item UI state
+    Object.assign(existing, fresh);
+    return existing;
+  });
+
+  const freshIds = new Set(freshItems.map(item => item.id));
+  const removed = currentItems.filter(item => !freshIds.has(item.id));
+
+  return {
+    items: items,
+    added: added,
+    rematched: rematched,
+    removed: removed,
+    changed: changed || removed.length > 0
+  };
+}
+
+function describeCartItem(item, fields) {
+  return JSON.stringify(fields.map(field => item[field] === undefined ? null : item[field]));
+}
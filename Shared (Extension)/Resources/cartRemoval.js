@@ -0,0 +1,220 @@
+//
+//  cartRemoval.js
+//  SkipTheCart
+//
+
+/**
+ * Cart line removal
+ * =================
+ *
+ * Removes a cart line with the retailer's own controls, the way the shopper
+ * would, and only reports success once the page confirms it:
+ *
+ *   - deleteButton:   clicked once, then we wait for the line to disappear.
+ *                     A remove link to Shopify's /cart/change would navigate
+ *                     away before the result is known, so its change is sent
+ *                     to /cart/change.js instead and the line is taken off
+ *                     the page once the returned cart confirms it
+ *   - decreaseButton: clicked until the line disappears or its quantity
+ *                     reaches zero (H&M, Princess Polly), waiting for the
+ *                     quantity to drop after every click
+ *   - Shopify lines read from cart.js are set to quantity 0 through
+ *     /cart/change.js, and the returned cart must no longer contain them
+ *
+ * Many carts re-render every line after a change, so "disappeared" means no
+ * line on the page still matches the item's name, size and color.
+ */
+
+// How long the page gets to reflect one click
+const CART_REMOVAL_TIMEOUT = 8000;
+
+// Safety stop for decrease-only carts
+const CART_REMOVAL_MAX_DECREASES = 20;
+
+// True when removeCartLine has a control to drive for this item
+function canRemoveCartLine(cartItem) {
+  return Boolean(
+    cartItem.deleteButton ||
+    cartItem.decreaseButton ||
+    (cartItem.source === SHOPIFY_CART_SOURCE && cartItem.lineKey)
+  );
+}
+
+/**
+ * @returns {Promise<{removed: boolean, message: string}>}
+ */
+function removeCartLine(cartItem) {
+  const name = cartItem.productName || 'this item';
+  const succeeded = () => ({ removed: true, message: `Removed "${name}" from your cart.` });
+  const failed = (reason) => {
+    console.warn(`Cart Image Extractor: Could not remove "${name}": ${reason}`);
+    showDebugOverlay(`Removal failed: ${reason}`);
+    return { removed: false, message: `Couldn't remove "${name}". Please remove it on the page.` };
+  };
+
+  let removal;
+  if (cartItem.source === SHOPIFY_CART_SOURCE && cartItem.lineKey) {
+    removal = changeShopifyLineQuantity(cartItem.lineKey, 0)
+      .then(cart => cart.items.some(line => line.key === cartItem.lineKey) ? 'cart.js still lists the line' : null);
+  } else if (cartItem.deleteButton && findCartChangeLink(cartItem.deleteButton)) {
+    removal = sendCartChangeLink(cartItem, findCartChangeLink(cartItem.deleteButton));
+  } else if (cartItem.deleteButton) {
+    removal = clickRemoveAndConfirm(cartItem);
+  } else if (cartItem.decreaseButton) {
+    removal = decreaseUntilRemoved(cartItem, 0);
+  } else {
+    removal = Promise.resolve('no remove control');
+  }
+
+  return removal
+    .then(failure => failure ? failed(failure) : succeeded())
+    .catch(error => failed(error.message));
+}
+
+// Resolve with null once the line is gone, or with the reason it is not
+function clickRemoveAndConfirm(cartItem) {
+  if (!cartItem.deleteButton.isConnected) {
+    return Promise.resolve('the remove button is no longer on the page');
+  }
+
+  cartItem.deleteButton.click();
+  return waitForCartChange(() => findCartLine(cartItem) ? undefined : true)
+    .then(gone => gone ? null : 'the line was still there after the click');
+}
+
+// The /cart/change link a remove control is or sits in, or null
+function findCartChangeLink(control) {
+  const link = control.closest('a[href]');
+  if (!link) return null;
+  const url = new URL(link.href, window.location.href);
+  return url.pathname.replace(/\/$/, '').endsWith('/cart/change') ? url : null;
+}
+
+function sendCartChangeLink(cartItem, url) {
+  const id = url.searchParams.get('id');
+  const lineNumber = parseInt(url.searchParams.get('line'), 10);
+  if (!id && isNaN(lineNumber)) {
+    return Promise.resolve('the remove link does not name a cart line');
+  }
+
+  return changeShopifyLineQuantity(id || lineNumber, 0, url.origin).then(cart => {
+    const variantId = String(id || cartItem.variantId || '');
+    if (cart.items.some(line => line.key === id || String(line.variant_id) === variantId)) {
+      return 'cart.js still lists the line';
+    }
+
+    // The theme does not know the line is gone; stop it being extracted again
+    const line = findCartLine(cartItem);
+    if (line) line.remove();
+    return null;
+  });
+}
+
+function decreaseUntilRemoved(cartItem, clicks) {
+  const line = findCartLine(cartItem);
+  if (!line) return Promise.resolve(null);
+  if (clicks >= CART_REMOVAL_MAX_DECREASES) {
+    return Promise.resolve(`still in the cart after ${clicks} decreases`);
+  }
+
+  // The site may have re-rendered the line, so read its current controls
+  const controls = cartItem.decreaseButton && line.contains(cartItem.decreaseButton) ? cartItem : readCartLine(line);
+  if (!controls.decreaseButton) {
+    return Promise.resolve('the decrease button is no longer on the page');
+  }
+
+  const before = readQuantity(controls.quantityInput);
+  controls.decreaseButton.click();
+
+  return waitForCartChange(() => {
+    const current = findCartLine(cartItem);
+    if (!current) return 'gone';
+
+    const quantity = readQuantity((current === line ? controls : readCartLine(current)).quantityInput);
+    if (quantity === 0) return 'gone';
+    if (before !== null && quantity !== null && quantity < before) return 'decreased';
+    return undefined;
+  }).then(result => {
+    if (result === 'gone') return null;
+    if (result === 'decreased') return decreaseUntilRemoved(cartItem, clicks + 1);
+    return 'the quantity did not change after clicking decrease';
+  });
+}
+
+// ==============================================
+// CART LINE LOOKUP
+// ==============================================
+
+// The element of the line showing this item, or null when it is gone
+function findCartLine(cartItem) {
+  if (cartItem.lineElement && cartItem.lineElement.isConnected) {
+    return cartItem.lineElement;
+  }
+
+  const { elements } = extendedQueryFirstMatch(document, currentSiteConfig.itemSelectors.container);
+  const line = elements.find(element => !element.closest('#cart-panel') && isSameCartLine(readCartLine(element), cartItem));
+  if (line) {
+    cartItem.lineElement = line;
+  }
+  return line || null;
+}
+
+function readCartLine(element) {
+  const processor = currentSiteConfig.processor || processGenericItem;
+  return processor(element, -1);
+}
+
+function isSameCartLine(a, b) {
+  const same = (x, y) => String(x || '').trim().toLowerCase() === String(y || '').trim().toLowerCase();
+  return same(a.productName, b.productName) && same(a.size, b.size) && same(a.color, b.color);
+}
+
+function readQuantity(quantityInput) {
+  if (!quantityInput) return null;
+  const quantity = parseInt(quantityInput.value || quantityInput.textContent, 10);
+  return isNaN(quantity) ? null : quantity;
+}
+
+/**
+ * Re-run `check` whenever the page changes until it returns something other
+ * than undefined, and resolve with that value; resolve with null when
+ * CART_REMOVAL_TIMEOUT passes or the route changes first.
+ */
+function waitForCartChange(check) {
+  return new Promise(resolve => {
+    // The change may already be on the page
+    const initial = check();
+    if (initial !== undefined) {
+      resolve(initial);
+      return;
+    }
+
+    let pendingCheck = null;
+    let outcome = null;
+
+    // Coalesce bursts of mutations into one check
+    const observer = new MutationObserver(() => {
+      if (pendingCheck) return;
+      pendingCheck = trackedTimeout(ROUTE_SCOPE, () => {
+        pendingCheck = null;
+        const result = check();
+        if (result !== undefined) finish(result);
+      }, 100);
+    });
+    const deadline = trackedTimeout(ROUTE_SCOPE, () => finish(null), CART_REMOVAL_TIMEOUT);
+
+    // Ends the wait, also when a route change tears ROUTE_SCOPE down first
+    const watching = trackDisposable(ROUTE_SCOPE, () => {
+      observer.disconnect();
+      if (pendingCheck) pendingCheck.dispose();
+      deadline.dispose();
+      resolve(outcome);
+    });
+    const finish = (result) => {
+      outcome = result;
+      watching.dispose();
+    };
+
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true, characterData: true });
+  });
+}
@@ -0,0 +1,228 @@
+//
+//  cartSummary.js
+//  SkipTheCart
+//
+
+/**
+ * Cart summary
+ * ============
+ *
+ * Reads the order summary next to the line items: subtotal, discount lines,
+ * shipping, estimated tax and total. Each site lists value selectors in
+ * `summarySelectors`; whatever those miss is found by label ("Subtotal",
+ * "Shipping", ...) with the amount taken from the same row.
+ *
+ * The line items are then added up and compared with the summary:
+ *   - the subtotal should equal the line items
+ *   - the total should equal line items - discounts + shipping + tax
+ * Differences beyond SUMMARY_MISMATCH_TOLERANCE are listed in `mismatches`,
+ * usually a sign that a line item price was misread.
+ */
+
+const SUMMARY_FIELDS = ['subtotal', 'shipping', 'tax', 'total'];
+
+// Row labels used when a site's summarySelectors find nothing
+const SUMMARY_LABEL_PATTERNS = {
+  subtotal: /^(sub-?total|items? total|merchandise( total)?|bag total)\b/i,
+  discounts: /^(discount|promo|promotion|coupon|savings|you save)\b/i,
+  shipping: /^(shipping|delivery|estimated shipping)\b/i,
+  tax: /^(estimated tax|sales tax|tax|vat|gst|duties)\b/i,
+  total: /^(estimated total|order total|total|grand total)\b/i
+};
+
+// Labels longer than this are sentences, not summary rows
+const SUMMARY_LABEL_MAX_LENGTH = 40;
+
+// Allowed difference between the extracted and the computed amounts
+const SUMMARY_MISMATCH_TOLERANCE = 0.05;
+
+/**
+ * Extract the cart summary and cross-check it with the line items.
+ *
+ * @param {Object[]} lineItems Cart state items (money, quantity)
+ * @returns {{subtotal: ?Object, discounts: Object[], shipping: ?Object, tax: ?Object,
+ *            total: ?Object, lineItemsTotal: ?number, mismatches: Object[]}}
+ *          money values from parseMoney; discounts are { label, money }
+ */
+function extractCartSummary(lineItems) {
+  try {
+    const selectors = currentSiteConfig.summarySelectors || {};
+    const summary = { discounts: [] };
+
+    SUMMARY_FIELDS.forEach(field => {
+      const element = findSummaryElements(selectors[field])[0];
+      summary[field] = element ? parseMoney(element) : findSummaryValueByLabel(SUMMARY_LABEL_PATTERNS[field]);
+    });
+
+    const discountElements = findSummaryElements(selectors.discounts);
+    summary.discounts = discountElements.length > 0
+      ? discountElements.map(element => describeDiscount(element)).filter(Boolean)
+      : findSummaryRowsByLabel(SUMMARY_LABEL_PATTERNS.discounts);
+
+    summary.lineItemsTotal = sumLineItems(lineItems);
+    summary.mismatches = crossCheckCartSummary(summary);
+    if (summary.mismatches.length > 0) {
+      console.warn("Cart Image Extractor: Cart summary does not match the line items", summary.mismatches);
+    }
+
+    console.log("Cart Image Extractor: Extracted cart summary", summary);
+    return summary;
+  } catch (error) {
+    showDebugOverlay("ERROR in extractCartSummary: " + error.message);
+    console.error("Error in extractCartSummary:", error);
+    return null;
+  }
+}
+
+// Sum of line item prices × quantity, or null when any price is unreadable
+function sumLineItems(lineItems) {
+  if (!lineItems || lineItems.length === 0) return null;
+
+  let total = 0;
+  for (const item of lineItems) {
+    if (!item.money) return null;
+    total += item.money.amount * (item.quantity || 1);
+  }
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * @returns {Object[]} one { field, expected, actual } per amount that does not
+ *          add up; empty when everything matches or cannot be checked
+ */
+function crossCheckCartSummary(summary) {
+  const mismatches = [];
+  if (summary.lineItemsTotal === null) return mismatches;
+
+  const differs = (expected, actual) => Math.abs(expected - actual) > SUMMARY_MISMATCH_TOLERANCE;
+
+  if (summary.subtotal && differs(summary.lineItemsTotal, summary.subtotal.amount)) {
+    mismatches.push({ field: 'subtotal', expected: summary.lineItemsTotal, actual: summary.subtotal.amount });
+  }
+
+  if (summary.total) {
+    // Discount lines are shown as "-$10.00" but parsed without the sign
+    const discounts = summary.discounts.reduce((total, discount) => total + discount.money.amount, 0);
+    const expected = summary.lineItemsTotal - discounts +
+      (summary.shipping ? summary.shipping.amount : 0) +
+      (summary.tax ? summary.tax.amount : 0);
+    if (differs(expected, summary.total.amount)) {
+      mismatches.push({ field: 'total', expected: Math.round(expected * 100) / 100, actual: summary.total.amount });
+    }
+  }
+
+  return mismatches;
+}
+
+// ==============================================
+// DOM LOOKUPS
+// ==============================================
+
+// Elements matching the first selector that finds any, outside our own panel
+function findSummaryElements(selectors) {
+  for (const selector of selectors || []) {
+    const elements = extendedQueryAll(document, selector).filter(element => !element.closest('#cart-panel'));
+    if (elements.length > 0) return elements;
+  }
+  return [];
+}
+
+function findSummaryValueByLabel(pattern) {
+  const rows = findSummaryRowsByLabel(pattern);
+  return rows.length > 0 ? rows[0].money : null;
+}
+
+// Short label elements matching `pattern`, each paired with the amount in the
+// nearest ancestor (up to three levels) that holds one. Climbing stops at an
+// ancestor holding a second summary label, so "Tax: calculated at checkout"
+// does not pick up the amount of the next row.
+function findSummaryRowsByLabel(pattern) {
+  const rows = [];
+  const seen = new Set();
+
+  findSummaryLabelElements().forEach(element => {
+    const label = element.textContent.trim();
+    if (!pattern.test(label)) return;
+
+    let row = element;
+    for (let depth = 0; depth < 3 && row; depth++) {
+      if (depth > 0 && findSummaryLabelElements(row).length > 1) return;
+      // Leave the label out so "Subtotal (2 items)" does not read as 2
+      const money = parseMoney(row.textContent.replace(label, ''));
+      if (money) {
+        if (!seen.has(row)) {
+          seen.add(row);
+          rows.push({ label: label, money: money });
+        }
+        return;
+      }
+      row = row.parentElement;
+    }
+  });
+
+  return rows;
+}
+
+// Leaf elements under `root` whose text looks like any summary row label
+function findSummaryLabelElements(root) {
+  const patterns = Object.keys(SUMMARY_LABEL_PATTERNS).map(field => SUMMARY_LABEL_PATTERNS[field]);
+  return Array.from((root || document).querySelectorAll('dt, th, td, span, p, div, label')).filter(element => {
+    if (element.children.length > 0 || element.closest('#cart-panel')) return false;
+    const label = element.textContent.trim();
+    return label.length > 0 && label.length <= SUMMARY_LABEL_MAX_LENGTH && patterns.some(pattern => pattern.test(label));
+  });
+}
+
+function describeDiscount(element) {
+  const money = parseMoney(element);
+  if (!money) return null;
+
+  const label = element.textContent.replace(/[-−–]?\s*[$€£¥₹]?\s*\d[\d.,'\s]*/g, ' ').replace(/\s+/g, ' ').trim();
+  return { label: label || 'Discount', money: money };
+}
+
+// ==============================================
+// PANEL HEADER
+// ==============================================
+
+/**
+ * What checking out would cost: the page's total, else its subtotal, else
+ * the line items added up.
+ *
+ * @returns {?{amount: number, currency: ?string, label: string}}
+ */
+function resolveCartTotal(summary, lineItems) {
+  if (!summary) return null;
+
+  const money = summary.total || summary.subtotal;
+  const amount = money ? money.amount : summary.lineItemsTotal;
+  if (amount === null || amount === undefined) return null;
+
+  const firstPriced = (lineItems || []).find(item => item.money && item.money.currency);
+  return {
+    amount: amount,
+    currency: (money && money.currency) || (firstPriced ? firstPriced.money.currency : null),
+    label: summary.total ? 'Total' : 'Subtotal'
+  };
+}
+
+// Checkout total for the panel header, flagged when it does not add up
+function createCartTotalBadge(summary, lineItems) {
+  const total = resolveCartTotal(summary, lineItems);
+  if (!total) return null;
+  const currency = total.currency;
+
+  const badge = document.createElement('div');
+  badge.className = 'panel-total';
+  badge.textContent = `${total.label} ${formatMoney(total.amount, currency)}`;
+
+  if (summary.mismatches.length > 0) {
+    badge.classList.add('panel-total-mismatch');
+    badge.textContent += ' ⚠';
+    badge.title = summary.mismatches
+      .map(mismatch => `The ${mismatch.field} is ${formatMoney(mismatch.actual, currency)}, but the items add up to ${formatMoney(mismatch.expected, currency)}`)
+      .join('\n');
+  }
+
+  return badge;
+}
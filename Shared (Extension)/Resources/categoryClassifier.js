@@ -0,0 +1,382 @@
+//
+//  categoryClassifier.js
+//  SkipTheCart
+//
+
+/**
+ * Product category classifier
+ * ===========================
+ *
+ * Maps what we know about a product (name, breadcrumb, URL slug, retailer) to
+ * a canonical taxonomy category and subcategory with a confidence score.
+ *
+ * Every taxonomy entry declares the wardrobe `categoryName` it corresponds to
+ * ("Tops", "Bottoms", "Dresses", "Skirts", "Coats", "Shoes"), so a cart item
+ * can be matched to wardrobe items and a wardrobe item can be mapped back to
+ * the taxonomy categories it covers. The wardrobe stores each shoe on its own
+ * ("Left Shoes", "Right Shoes"); wardrobeCategoryKey folds both into "Shoes"
+ * for comparisons. Categories the wardrobe does not track yet (bags, ...)
+ * have no wardrobe category.
+ *
+ * Each input is classified on its own. Within one text the keyword that ends
+ * last wins, because product names put the noun last ("Shirt Dress" is a
+ * dress, "Dress Shirt" is a shirt); on a tie the longer keyword wins ("Bikini
+ * Top" is swimwear). The per-input results are then combined by weight.
+ */
+
+// Keywords are matched as whole words, with an optional plural "s"/"es".
+// Category-level keywords classify without a subcategory.
+const PRODUCT_TAXONOMY = [
+  {
+    category: 'tops',
+    wardrobeCategory: 'Tops',
+    keywords: ['top'],
+    subcategories: [
+      { name: 't-shirts', keywords: ['t shirt', 'tshirt', 'tee'] },
+      { name: 'tank tops', keywords: ['tank', 'cami', 'camisole', 'tube top', 'halter top'] },
+      { name: 'shirts', keywords: ['shirt', 'button up', 'button down', 'oxford'] },
+      { name: 'blouses', keywords: ['blouse'] },
+      { name: 'bodysuits', keywords: ['bodysuit'] },
+      { name: 'crop tops', keywords: ['crop top'] },
+      { name: 'corsets', keywords: ['corset', 'bustier'] },
+      { name: 'polos', keywords: ['polo'] },
+      { name: 'sweatshirts', keywords: ['sweatshirt', 'hoodie', 'hoody'] }
+    ]
+  },
+  {
+    category: 'knitwear',
+    wardrobeCategory: 'Tops',
+    keywords: ['knitwear', 'knit top'],
+    subcategories: [
+      { name: 'sweaters', keywords: ['sweater', 'pullover', 'turtleneck'] },
+      { name: 'cardigans', keywords: ['cardigan'] },
+      { name: 'sweater vests', keywords: ['sweater vest'] }
+    ]
+  },
+  {
+    category: 'bottoms',
+    wardrobeCategory: 'Bottoms',
+    keywords: ['bottom'],
+    subcategories: [
+      { name: 'jeans', keywords: ['jean', 'denim pant'] },
+      { name: 'trousers', keywords: ['pant', 'trouser', 'slack', 'chino', 'cargo pant', 'flare'] },
+      { name: 'shorts', keywords: ['shorts', 'bermuda'] },
+      { name: 'leggings', keywords: ['legging'] },
+      { name: 'joggers', keywords: ['jogger', 'sweatpant', 'track pant'] },
+      { name: 'skirts', keywords: ['skirt', 'skort'], wardrobeCategory: 'Skirts' }
+    ]
+  },
+  {
+    category: 'dresses',
+    wardrobeCategory: 'Dresses',
+    keywords: ['dress'],
+    subcategories: [
+      { name: 'mini dresses', keywords: ['mini dress'] },
+      { name: 'midi dresses', keywords: ['midi dress'] },
+      { name: 'maxi dresses', keywords: ['maxi dress'] },
+      { name: 'gowns', keywords: ['gown'] },
+      { name: 'jumpsuits', keywords: ['jumpsuit', 'romper', 'playsuit', 'overall'] }
+    ]
+  },
+  {
+    category: 'outerwear',
+    wardrobeCategory: 'Coats',
+    keywords: ['outerwear'],
+    subcategories: [
+      { name: 'coats', keywords: ['coat', 'overcoat', 'trench', 'parka'] },
+      { name: 'jackets', keywords: ['jacket', 'bomber', 'shacket', 'overshirt', 'windbreaker', 'anorak'] },
+      { name: 'blazers', keywords: ['blazer'] },
+      { name: 'puffers', keywords: ['puffer', 'down jacket'] },
+      { name: 'vests', keywords: ['vest', 'gilet'] }
+    ]
+  },
+  {
+    category: 'shoes',
+    wardrobeCategory: 'Shoes',
+    keywords: ['shoe', 'footwear'],
+    subcategories: [
+      { name: 'sneakers', keywords: ['sneaker', 'trainer'] },
+      { name: 'boots', keywords: ['boot', 'bootie'] },
+      { name: 'heels', keywords: ['heel', 'pump', 'stiletto'] },
+      { name: 'sandals', keywords: ['sandal', 'slide', 'flip flop'] },
+      { name: 'flats', keywords: ['flats', 'ballet flat', 'loafer', 'mule'] }
+    ]
+  },
+  {
+    category: 'bags',
+    wardrobeCategory: null,
+    keywords: ['bag'],
+    subcategories: [
+      { name: 'handbags', keywords: ['handbag', 'purse'] },
+      { name: 'totes', keywords: ['tote'] },
+      { name: 'crossbody bags', keywords: ['crossbody', 'cross body'] },
+      { name: 'backpacks', keywords: ['backpack'] },
+      { name: 'clutches', keywords: ['clutch'] },
+      { name: 'shoulder bags', keywords: ['shoulder bag', 'baguette'] }
+    ]
+  },
+  {
+    category: 'accessories',
+    wardrobeCategory: null,
+    keywords: ['accessory', 'accessories'],
+    subcategories: [
+      { name: 'jewelry', keywords: ['jewelry', 'jewellery', 'necklace', 'earring', 'bracelet', 'ring'] },
+      { name: 'belts', keywords: ['belt'] },
+      { name: 'hats', keywords: ['hat', 'cap', 'beanie', 'beret'] },
+      { name: 'scarves', keywords: ['scarf', 'scarves'] },
+      { name: 'sunglasses', keywords: ['sunglass'] },
+      { name: 'hair accessories', keywords: ['scrunchie', 'claw clip', 'hair clip', 'headband'] },
+      { name: 'socks & tights', keywords: ['sock', 'tights'] }
+    ]
+  },
+  {
+    category: 'swimwear',
+    wardrobeCategory: null,
+    keywords: ['swimwear', 'swim'],
+    subcategories: [
+      { name: 'bikinis', keywords: ['bikini', 'bikini top', 'bikini bottom'] },
+      { name: 'one-pieces', keywords: ['swimsuit', 'one piece', 'swimming costume'] },
+      { name: 'cover-ups', keywords: ['cover up', 'sarong'] },
+      { name: 'swim shorts', keywords: ['swim shorts', 'board shorts'] }
+    ]
+  }
+];
+
+// Retailer-specific product lines and naming, keyed by SITE_CONFIGS key.
+// Checked against the product name before the shared taxonomy.
+const RETAILER_CATEGORY_KEYWORDS = {
+  aritzia: [
+    { keyword: 'super puff', category: 'outerwear', subcategory: 'puffers' },
+    { keyword: 'sculpt knit', category: 'tops', subcategory: null }
+  ],
+  hm: [
+    { keyword: 'jumper', category: 'knitwear', subcategory: 'sweaters' }
+  ],
+  ohpolly: [
+    { keyword: 'jumper', category: 'knitwear', subcategory: 'sweaters' }
+  ],
+  princessPolly: [
+    { keyword: 'jumper', category: 'knitwear', subcategory: 'sweaters' }
+  ]
+};
+
+// How much each input counts towards the combined result
+const CLASSIFIER_SIGNAL_WEIGHTS = {
+  name: 1.0,
+  breadcrumb: 0.8,
+  url: 0.6
+};
+
+// Lowercase, turn separators into spaces and collapse whitespace
+function normalizeClassifierText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[-_/|,.+&()]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Keyword matchers built once from the tables above
+let taxonomyKeywordMatchers = null;
+
+function buildKeywordMatcher(keyword, category, subcategory) {
+  const normalized = normalizeClassifierText(keyword).replace(/ /g, '\\s');
+  return {
+    keyword: keyword,
+    category: category,
+    subcategory: subcategory,
+    pattern: new RegExp(`\\b${normalized}(?:s|es)?\\b`, 'g')
+  };
+}
+
+function getTaxonomyKeywordMatchers() {
+  if (!taxonomyKeywordMatchers) {
+    taxonomyKeywordMatchers = [];
+    PRODUCT_TAXONOMY.forEach(entry => {
+      entry.keywords.forEach(keyword => {
+        taxonomyKeywordMatchers.push(buildKeywordMatcher(keyword, entry.category, null));
+      });
+      entry.subcategories.forEach(subcategory => {
+        subcategory.keywords.forEach(keyword => {
+          taxonomyKeywordMatchers.push(buildKeywordMatcher(keyword, entry.category, subcategory.name));
+        });
+      });
+    });
+  }
+  return taxonomyKeywordMatchers;
+}
+
+// Classify one piece of text; null when no keyword matches
+function classifyText(text, matchers) {
+  const matches = [];
+
+  matchers.forEach(matcher => {
+    matcher.pattern.lastIndex = 0;
+    let match;
+    while ((match = matcher.pattern.exec(text)) !== null) {
+      matches.push({
+        category: matcher.category,
+        subcategory: matcher.subcategory,
+        keyword: matcher.keyword,
+        end: match.index + match[0].length,
+        length: match[0].length
+      });
+    }
+  });
+
+  if (matches.length === 0) return null;
+
+  // Latest ending keyword first, longer keyword first on a tie
+  matches.sort((a, b) => (b.end - a.end) || (b.length - a.length));
+  const best = matches[0];
+
+  // A generic head noun ("Corset Top") takes its subcategory from an
+  // earlier, more specific keyword of the same category
+  const specific = best.subcategory ? best : matches.find(match => match.category === best.category && match.subcategory);
+
+  return {
+    category: best.category,
+    subcategory: specific ? specific.subcategory : null,
+    keyword: best.keyword
+  };
+}
+
+// "Mini Skirt with Belt" and OhPolly's "Corset Top in Mocha" describe the
+// product before the qualifier
+function stripNameQualifiers(name) {
+  return name.split(/\s(?:with|in|featuring)\s/i)[0];
+}
+
+// Last path segment of a product URL, minus ids and extensions
+function slugFromUrl(url) {
+  if (!url) return '';
+  let path;
+  try {
+    path = new URL(url, window.location.href).pathname;
+  } catch (error) {
+    return '';
+  }
+  const segments = path.split('/').filter(Boolean);
+  const slug = segments.length > 0 ? segments[segments.length - 1] : '';
+  return slug.replace(/\.html?$/, '').replace(/\b[a-z]?\d{3,}\b/gi, ' ');
+}
+
+function classifyNameSignal(name, retailer) {
+  const text = normalizeClassifierText(stripNameQualifiers(String(name || '')));
+  if (!text) return null;
+
+  const retailerKeywords = RETAILER_CATEGORY_KEYWORDS[retailer] || [];
+  const retailerMatchers = retailerKeywords.map(entry =>
+    buildKeywordMatcher(entry.keyword, entry.category, entry.subcategory)
+  );
+
+  return (retailerMatchers.length > 0 && classifyText(text, retailerMatchers)) ||
+    classifyText(text, getTaxonomyKeywordMatchers());
+}
+
+// Breadcrumbs run from general to specific, so the deepest crumb that
+// classifies wins
+function classifyBreadcrumbSignal(breadcrumb) {
+  const crumbs = Array.isArray(breadcrumb) ? breadcrumb : String(breadcrumb || '').split(/\s*[>/›»]\s*/);
+
+  for (let i = crumbs.length - 1; i >= 0; i--) {
+    const result = classifyText(normalizeClassifierText(crumbs[i]), getTaxonomyKeywordMatchers());
+    if (result) return result;
+  }
+  return null;
+}
+
+/**
+ * Classify a product.
+ *
+ * @param {Object} input
+ * @param {string} [input.name]       Product name
+ * @param {string|string[]} [input.breadcrumb] Breadcrumb trail, as crumbs or "A > B > C"
+ * @param {string} [input.url]        Product URL; its last path segment is used
+ * @param {string} [input.retailer]   SITE_CONFIGS key of the retailer
+ * @returns {{category: ?string, subcategory: ?string, wardrobeCategory: ?string,
+ *            confidence: number, signals: Object[]}}
+ */
+function classifyProduct(input) {
+  try {
+    input = input || {};
+    const signals = [];
+
+    const fromName = classifyNameSignal(input.name, input.retailer);
+    if (fromName) signals.push(Object.assign({ source: 'name', weight: CLASSIFIER_SIGNAL_WEIGHTS.name }, fromName));
+
+    const fromBreadcrumb = classifyBreadcrumbSignal(input.breadcrumb);
+    if (fromBreadcrumb) signals.push(Object.assign({ source: 'breadcrumb', weight: CLASSIFIER_SIGNAL_WEIGHTS.breadcrumb }, fromBreadcrumb));
+
+    const fromUrl = classifyText(normalizeClassifierText(slugFromUrl(input.url)), getTaxonomyKeywordMatchers());
+    if (fromUrl) signals.push(Object.assign({ source: 'url', weight: CLASSIFIER_SIGNAL_WEIGHTS.url }, fromUrl));
+
+    if (signals.length === 0) {
+      return { category: null, subcategory: null, wardrobeCategory: null, confidence: 0, signals: signals };
+    }
+
+    // Sum the weight behind each category
+    const scores = {};
+    let totalScore = 0;
+    signals.forEach(signal => {
+      scores[signal.category] = (scores[signal.category] || 0) + signal.weight;
+      totalScore += signal.weight;
+    });
+    const category = Object.keys(scores).reduce((best, key) => scores[key] > scores[best] ? key : best);
+
+    // Most trusted agreeing signal that names a subcategory
+    const agreeing = signals.filter(signal => signal.category === category);
+    const specific = agreeing.find(signal => signal.subcategory);
+    const subcategory = specific ? specific.subcategory : null;
+
+    // Agreement raises confidence, disagreement lowers it
+    const support = 1 - agreeing.reduce((remaining, signal) => remaining * (1 - signal.weight * 0.85), 1);
+    const confidence = Math.round(support * (scores[category] / totalScore) * 100) / 100;
+
+    return {
+      category: category,
+      subcategory: subcategory,
+      wardrobeCategory: wardrobeCategoryFor(category, subcategory),
+      confidence: confidence,
+      signals: signals
+    };
+  } catch (error) {
+    console.error("Error in classifyProduct:", error);
+    return { category: null, subcategory: null, wardrobeCategory: null, confidence: 0, signals: [] };
+  }
+}
+
+// Wardrobe categoryName for a taxonomy category (skirts are their own
+// wardrobe category even though they are bottoms in the taxonomy)
+function wardrobeCategoryFor(category, subcategory) {
+  const entry = PRODUCT_TAXONOMY.find(candidate => candidate.category === category);
+  if (!entry) return null;
+
+  const sub = entry.subcategories.find(candidate => candidate.name === subcategory);
+  return sub && sub.wardrobeCategory !== undefined ? sub.wardrobeCategory : entry.wardrobeCategory;
+}
+
+// Wardrobe categoryName values that are one category to the taxonomy
+const WARDROBE_CATEGORY_ALIASES = {
+  'left shoes': 'Shoes',
+  'right shoes': 'Shoes'
+};
+
+// Key to compare a wardrobe categoryName by: 'Left Shoes' → 'Shoes', other
+// names unchanged
+function wardrobeCategoryKey(categoryName) {
+  if (!categoryName) return categoryName;
+  return WARDROBE_CATEGORY_ALIASES[String(categoryName).toLowerCase()] || categoryName;
+}
+
+// Taxonomy categories a wardrobe categoryName covers, e.g. 'Tops' →
+// ['tops', 'knitwear'], 'Skirts' → ['bottoms'] and 'Left Shoes' → ['shoes']
+function taxonomyCategoriesForWardrobe(categoryName) {
+  const wanted = String(wardrobeCategoryKey(categoryName) || '').toLowerCase();
+  return PRODUCT_TAXONOMY
+    .filter(entry =>
+      String(entry.wardrobeCategory || '').toLowerCase() === wanted ||
+      entry.subcategories.some(sub => String(sub.wardrobeCategory || '').toLowerCase() === wanted)
+    )
+    .map(entry => entry.category);
+}
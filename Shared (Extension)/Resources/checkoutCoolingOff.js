@@ -0,0 +1,350 @@
+//
+//  checkoutCoolingOff.js
+//  SkipTheCart
+//
+
+/**
+ * Checkout cooling-off gate
+ * =========================
+ *
+ * The first time a given cart reaches checkout we start a countdown
+ * (settings.coolingOffMinutes) and cover the page until it runs out. The gate
+ * is keyed by site and a hash of the cart contents, and its start time lives
+ * in browser.storage.local, so reloading or opening checkout in a new tab
+ * shows the same remaining time instead of starting over. Changing the cart
+ * produces a new hash and therefore a new cooling-off period. Without a hash
+ * (no cart.js and no cart page visited) there is no gate, since every such
+ * cart would otherwise share one countdown.
+ */
+
+const COOLING_OFF_GATE_ID = 'stc-cooling-off';
+const COOLING_OFF_STORAGE_PREFIX = 'stc:coolingOff:';
+const LAST_CART_STORAGE_PREFIX = 'stc:lastCart:';
+
+// Used when a site does not declare cartDetection.checkoutPatterns
+const DEFAULT_CHECKOUT_PATTERNS = ['/checkout', '/checkouts/'];
+
+// Gate records are dropped this long after they unlock
+const COOLING_OFF_RECORD_TTL = 7 * 24 * 60 * 60 * 1000;
+
+let coolingOffCountdownInterval = null;
+
+// ==============================================
+// CHECKOUT DETECTION & CART IDENTITY
+// ==============================================
+
+function checkForCheckoutURL() {
+  if (!currentSiteConfig) return false;
+
+  const patterns = currentSiteConfig.cartDetection.checkoutPatterns || DEFAULT_CHECKOUT_PATTERNS;
+  return patterns.some(pattern => window.location.pathname.includes(pattern));
+}
+
+// Small non-cryptographic string hash (FNV-1a), rendered as hex
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+// Order-independent hash of what is in the cart
+function computeCartContentsHash(items) {
+  const lines = items.map(item =>
+    [item.productName, item.size, item.color, item.price, item.quantity || 1].join('|').toLowerCase()
+  );
+  return hashString(lines.sort().join('\n'));
+}
+
+// Remember the cart seen on the cart page; most checkouts do not list
+// their items in a way our processors understand. `total` (from
+// resolveCartTotal) is what the budget records once the order goes through.
+function rememberCartSnapshot(items, total) {
+  if (!currentSiteConfig || items.length === 0) return Promise.resolve();
+
+  const snapshot = {
+    hash: computeCartContentsHash(items),
+    itemCount: items.length,
+    total: total ? { amount: total.amount, currency: total.currency } : null,
+    savedAt: Date.now()
+  };
+  return browser.storage.local.set({ [LAST_CART_STORAGE_PREFIX + currentSiteConfig.key]: snapshot })
+    .catch(error => console.error("Cart Image Extractor: Failed to save cart snapshot:", error));
+}
+
+// Resolve the hash of the cart being checked out, or null when it is unknown
+function resolveCheckoutCartHash() {
+  const fromSnapshot = () => {
+    const key = LAST_CART_STORAGE_PREFIX + currentSiteConfig.key;
+    return browser.storage.local.get(key).then(result => (result[key] && result[key].hash) || null);
+  };
+
+  if (currentSiteConfig.platform === 'shopify') {
+    return fetchShopifyCartItems()
+      .then(items => items.length > 0 ? computeCartContentsHash(items) : fromSnapshot())
+      .catch(fromSnapshot);
+  }
+
+  return fromSnapshot();
+}
+
+// ==============================================
+// GATE STATE
+// ==============================================
+
+// Resolve with { startedAt, durationMs } for this cart, starting the clock
+// on the first attempt
+function startOrResumeCoolingOff(cartHash, durationMs) {
+  const key = `${COOLING_OFF_STORAGE_PREFIX}${currentSiteConfig.key}:${cartHash}`;
+
+  return browser.storage.local.get(key).then(result => {
+    if (result[key]) {
+      return result[key];
+    }
+
+    const record = { startedAt: Date.now(), durationMs };
+    return browser.storage.local.set({ [key]: record })
+      .then(pruneExpiredCoolingOffRecords)
+      .then(() => record);
+  });
+}
+
+function pruneExpiredCoolingOffRecords() {
+  return browser.storage.local.get(null).then(all => {
+    const now = Date.now();
+    const expired = Object.keys(all).filter(key =>
+      key.startsWith(COOLING_OFF_STORAGE_PREFIX) &&
+      all[key].startedAt + all[key].durationMs + COOLING_OFF_RECORD_TTL < now
+    );
+    return expired.length > 0 ? browser.storage.local.remove(expired) : undefined;
+  });
+}
+
+// ==============================================
+// GATE UI
+// ==============================================
+
+// Entry point from handleURLChange on checkout URLs
+function initializeCheckoutGate() {
+  removeCoolingOffGate();
+
+  // Disposed on the next route change, which makes this check stale
+  const route = trackDisposable(ROUTE_SCOPE, () => {});
+  const stillOnCheckout = () => route.active && checkForCheckoutURL();
+
+  return loadExtensionSettings()
+    .then(settings => {
+      const durationMs = settings.coolingOffMinutes * 60 * 1000;
+      if (durationMs <= 0) {
+        console.log("Cart Image Extractor: Cooling-off disabled in settings");
+        return;
+      }
+
+      return resolveCheckoutCartHash()
+        .then(cartHash => {
+          if (!cartHash) {
+            console.log("Cart Image Extractor: Cart being checked out is unknown, no cooling-off");
+            return null;
+          }
+          return stillOnCheckout() ? startOrResumeCoolingOff(cartHash, durationMs) : null;
+        })
+        .then(record => {
+          // The shopper may have left checkout during the storage reads
+          if (!record || !stillOnCheckout()) return;
+
+          const unlocksAt = record.startedAt + record.durationMs;
+          if (unlocksAt <= Date.now()) {
+            console.log("Cart Image Extractor: Cooling-off already complete for this cart");
+            return;
+          }
+          showCoolingOffGate(unlocksAt);
+        });
+    })
+    .catch(error => {
+      showDebugOverlay("ERROR in initializeCheckoutGate: " + error.message);
+      console.error("Error in initializeCheckoutGate:", error);
+    })
+    .then(() => route.dispose());
+}
+
+function showCoolingOffGate(unlocksAt) {
+  ensureCoolingOffStyles();
+
+  const gate = document.createElement('div');
+  gate.id = COOLING_OFF_GATE_ID;
+  gate.className = 'stc-cooling-off';
+
+  const header = document.createElement('div');
+  header.className = 'panel-header';
+  const title = document.createElement('div');
+  title.className = 'panel-title';
+  title.textContent = 'Cooling-off period';
+  header.appendChild(title);
+  gate.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'stc-cooling-off__body';
+
+  const message = document.createElement('div');
+  message.className = 'stc-cooling-off__message';
+  message.textContent = 'Still want everything in your cart? Checkout unlocks when the timer runs out.';
+  body.appendChild(message);
+
+  const countdown = document.createElement('div');
+  countdown.className = 'stc-cooling-off__countdown';
+  body.appendChild(countdown);
+
+  gate.appendChild(body);
+
+  const footer = document.createElement('div');
+  footer.className = 'panel-footer';
+
+  const backButton = document.createElement('button');
+  backButton.className = 'footer-button primary-button';
+  backButton.textContent = 'Back to cart';
+  backButton.addEventListener('click', function() {
+    removeCoolingOffGate();
+    history.back();
+  });
+
+  const proceedButton = document.createElement('button');
+  proceedButton.className = 'footer-button secondary-button';
+  proceedButton.textContent = 'Proceed';
+  proceedButton.disabled = true;
+  proceedButton.addEventListener('click', function() {
+    if (Date.now() < unlocksAt) return;
+    console.log("Cart Image Extractor: Cooling-off complete, proceeding to checkout");
+    removeCoolingOffGate();
+  });
+
+  footer.appendChild(backButton);
+  footer.appendChild(proceedButton);
+  gate.appendChild(footer);
+
+  document.body.appendChild(gate);
+
+  const tick = () => {
+    const remaining = unlocksAt - Date.now();
+    if (remaining <= 0) {
+      countdown.textContent = 'You can proceed now';
+      proceedButton.disabled = false;
+      coolingOffCountdownInterval.dispose();
+      coolingOffCountdownInterval = null;
+      return;
+    }
+    countdown.textContent = formatCountdown(remaining);
+  };
+  coolingOffCountdownInterval = trackedInterval(ROUTE_SCOPE, tick, 1000);
+  tick();
+}
+
+// 10 minutes → "10:00", 24 hours → "24:00:00"
+function formatCountdown(remainingMs) {
+  const totalSeconds = Math.ceil(remainingMs / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = value => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+}
+
+function removeCoolingOffGate() {
+  if (coolingOffCountdownInterval) {
+    coolingOffCountdownInterval.dispose();
+    coolingOffCountdownInterval = null;
+  }
+
+  const existing = document.getElementById(COOLING_OFF_GATE_ID);
+  if (existing && existing.parentNode) {
+    existing.parentNode.removeChild(existing);
+  }
+}
+
+function ensureCoolingOffStyles() {
+  if (document.getElementById('stc-cooling-off-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'stc-cooling-off-styles';
+  style.textContent = `
+    .stc-cooling-off {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background-color: white;
+      z-index: 10000;
+      display: flex;
+      flex-direction: column;
+      font-family: system-ui, -apple-system, sans-serif;
+    }
+
+    .stc-cooling-off .panel-header {
+      background-color: black;
+      color: white;
+      padding: 12px 16px;
+    }
+
+    .stc-cooling-off .panel-title {
+      font-weight: bold;
+      font-size: 18px;
+    }
+
+    .stc-cooling-off__body {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      padding: 16px;
+      gap: 16px;
+      text-align: center;
+    }
+
+    .stc-cooling-off__message {
+      font-size: 16px;
+      color: #666;
+    }
+
+    .stc-cooling-off__countdown {
+      font-size: 48px;
+      font-weight: bold;
+      font-variant-numeric: tabular-nums;
+    }
+
+    .stc-cooling-off .panel-footer {
+      border-top: 1px solid #eee;
+      padding: 16px;
+    }
+
+    .stc-cooling-off .footer-button {
+      width: 100%;
+      padding: 12px 16px;
+      border-radius: 4px;
+      font-size: 16px;
+      cursor: pointer;
+      margin-bottom: 8px;
+    }
+
+    .stc-cooling-off .primary-button {
+      background-color: black;
+      color: white;
+      border: none;
+    }
+
+    .stc-cooling-off .secondary-button {
+      background-color: white;
+      color: black;
+      border: 1px solid black;
+    }
+
+    .stc-cooling-off .secondary-button:disabled {
+      color: #aaa;
+      border-color: #ddd;
+      cursor: not-allowed;
+    }
+  `;
+  document.head.appendChild(style);
+}
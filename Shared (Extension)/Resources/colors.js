@@ -0,0 +1,227 @@
+//
+//  colors.js
+//  SkipTheCart
+//
+
+/**
+ * Color normalization and matching
+ * ================================
+ *
+ * Retailers name colors freely ("Washed Black", "ECRU / WHITE", OhPolly's
+ * "in Mocha"). normalizeColor() maps such text to one of the wardrobe's
+ * colorLabel families (white, black, gray, yellow, red, blue, green, brown,
+ * pink, orange, purple) plus an approximate hex value.
+ *
+ * Closeness is measured as CIE76 ΔE in Lab space: below ~10 reads as the same
+ * color, above ~50 as unrelated. The hex values are approximations, so this
+ * is meant for ranking, not exact matching.
+ */
+
+// Representative hex for each wardrobe colorLabel family
+const COLOR_FAMILY_HEX = {
+  white: '#f5f5f2',
+  black: '#111111',
+  gray: '#8c8c8c',
+  yellow: '#f2d43d',
+  red: '#c0282d',
+  blue: '#2f5fa8',
+  green: '#3f7f4f',
+  brown: '#7b5234',
+  pink: '#f0a3bc',
+  orange: '#ec7a2f',
+  purple: '#7b4c9e'
+};
+
+// Named colors as [names, hex, family]
+const NAMED_COLORS = [
+  [['off white', 'ivory', 'ecru', 'cream', 'vanilla', 'oat', 'oatmeal', 'bone', 'chalk', 'alabaster'], '#efe9dc', 'white'],
+  [['white', 'optic white', 'snow'], '#f5f5f2', 'white'],
+  [['jet black', 'black', 'onyx', 'noir', 'ink'], '#111111', 'black'],
+  [['charcoal', 'graphite', 'slate', 'anthracite'], '#444649', 'gray'],
+  [['grey', 'gray', 'silver', 'ash', 'stone', 'pewter'], '#8c8c8c', 'gray'],
+  [['mustard', 'ochre'], '#c9a130', 'yellow'],
+  [['yellow', 'lemon', 'butter', 'gold', 'canary'], '#f2d43d', 'yellow'],
+  [['burgundy', 'wine', 'maroon', 'oxblood', 'bordeaux', 'merlot', 'cherry'], '#6d1a2b', 'red'],
+  [['red', 'scarlet', 'crimson', 'tomato', 'brick'], '#c0282d', 'red'],
+  [['navy blue', 'navy', 'midnight', 'indigo', 'dark denim'], '#1f2a44', 'blue'],
+  [['light blue', 'baby blue', 'sky blue', 'powder blue', 'light denim', 'chambray'], '#a7c4e2', 'blue'],
+  [['blue', 'cobalt', 'royal blue', 'denim', 'teal', 'turquoise', 'aqua'], '#2f5fa8', 'blue'],
+  [['olive', 'khaki green', 'army green', 'moss'], '#5c6236', 'green'],
+  [['sage', 'mint', 'pistachio', 'seafoam'], '#a9c5a0', 'green'],
+  [['green', 'emerald', 'forest', 'kelly green', 'lime'], '#3f7f4f', 'green'],
+  [['beige', 'sand', 'nude', 'taupe', 'khaki', 'tan', 'camel', 'latte', 'biscuit', 'fawn'], '#c8ad8a', 'brown'],
+  [['chocolate', 'espresso', 'mocha', 'coffee', 'cocoa', 'brown', 'rust', 'cognac', 'chestnut', 'tobacco'], '#7b5234', 'brown'],
+  [['hot pink', 'fuchsia', 'magenta'], '#d63384', 'pink'],
+  [['blush', 'baby pink', 'light pink', 'rose', 'dusty rose', 'mauve', 'pink', 'bubblegum'], '#f0a3bc', 'pink'],
+  [['coral', 'peach', 'apricot', 'salmon'], '#f4a27a', 'orange'],
+  [['orange', 'tangerine', 'terracotta', 'burnt orange', 'copper'], '#ec7a2f', 'orange'],
+  [['lilac', 'lavender', 'lila'], '#c3b1e1', 'purple'],
+  [['purple', 'violet', 'plum', 'grape', 'eggplant', 'aubergine'], '#7b4c9e', 'purple']
+];
+
+// Words that shift lightness without changing the color family
+const COLOR_LIGHTNESS_MODIFIERS = {
+  light: 18, pale: 22, washed: 12, faded: 12, vintage: 8, soft: 10, dusty: 8,
+  dark: -18, deep: -15, rich: -10
+};
+
+// Words that never name a color
+const COLOR_NOISE_WORDS = /\b(colou?r|in|the|wash|print(ed)?|pattern|solid|heather|marl|mix|combo)\b/g;
+
+// Color matchers built once from NAMED_COLORS
+let namedColorMatchers = null;
+
+function getNamedColorMatchers() {
+  if (!namedColorMatchers) {
+    namedColorMatchers = [];
+    NAMED_COLORS.forEach(([names, hex, family]) => {
+      names.forEach(name => {
+        namedColorMatchers.push({ name, hex, family, pattern: new RegExp(`\\b${name}s?\\b`) });
+      });
+    });
+  }
+  return namedColorMatchers;
+}
+
+/**
+ * Normalize free-text retailer color names.
+ *
+ * normalizeColor('Washed Black') → { name: 'black', family: 'black', hex: '#2a2a2a', secondary: [] }
+ * normalizeColor('ECRU / WHITE') → { name: 'ecru', family: 'white', hex: '#efe9dc', secondary: [{ name: 'white', ... }] }
+ *
+ * Returns null when no color is recognised.
+ */
+function normalizeColor(text) {
+  try {
+    if (!text) return null;
+
+    // "ECRU / WHITE", "Black & White", "Navy, Red" name several colors; the
+    // first one is the dominant color
+    const parts = String(text).toLowerCase()
+      .replace(/^\s*colou?r\s*:\s*/, '')
+      .split(/\s*(?:\/|&|,|\+|\band\b)\s*/)
+      .map(part => normalizeColorPart(part))
+      .filter(Boolean);
+
+    if (parts.length === 0) return null;
+
+    return Object.assign({}, parts[0], { secondary: parts.slice(1) });
+  } catch (error) {
+    console.error("Error in normalizeColor:", error);
+    return null;
+  }
+}
+
+function normalizeColorPart(part) {
+  const text = part.replace(/[-_]+/g, ' ').replace(COLOR_NOISE_WORDS, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  // The first color named is the specific one ("Sage Green", "Navy Blue",
+  // "Black Denim"); at the same position the longer name wins
+  let match = null;
+  let matchIndex = Infinity;
+  getNamedColorMatchers().forEach(matcher => {
+    const found = matcher.pattern.exec(text);
+    if (!found) return;
+    if (found.index < matchIndex || (found.index === matchIndex && matcher.name.length > match.name.length)) {
+      match = matcher;
+      matchIndex = found.index;
+    }
+  });
+  if (!match) return null;
+
+  // "Washed Black" is a lighter black, "Dark Olive" a darker olive
+  const shift = Object.keys(COLOR_LIGHTNESS_MODIFIERS)
+    .filter(modifier => new RegExp(`\\b${modifier}\\b`).test(text) && !match.name.includes(modifier))
+    .reduce((total, modifier) => total + COLOR_LIGHTNESS_MODIFIERS[modifier], 0);
+
+  return {
+    name: match.name,
+    family: match.family,
+    hex: shift ? shiftHexLightness(match.hex, shift) : match.hex
+  };
+}
+
+// Hex for a wardrobe colorLabel ("black", "unknown color", ...) or null
+function colorLabelToHex(colorLabel) {
+  return COLOR_FAMILY_HEX[String(colorLabel || '').toLowerCase().trim()] || null;
+}
+
+// ==============================================
+// PERCEPTUAL DISTANCE
+// ==============================================
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb.map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0')).join('');
+}
+
+// sRGB (0-255) → CIE Lab (D65)
+function rgbToLab(rgb) {
+  const linear = rgb.map(channel => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+
+  const x = (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047;
+  const y = (linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722);
+  const z = (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883;
+
+  const f = t => t > 0.008856 ? Math.cbrt(t) : (7.787 * t) + 16 / 116;
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [(116 * fy) - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+// CIE Lab (D65) → sRGB (0-255)
+function labToRgb(lab) {
+  const fy = (lab[0] + 16) / 116;
+  const fx = fy + lab[1] / 500;
+  const fz = fy - lab[2] / 200;
+  const finv = t => t * t * t > 0.008856 ? t * t * t : (t - 16 / 116) / 7.787;
+
+  const x = finv(fx) * 0.95047;
+  const y = finv(fy);
+  const z = finv(fz) * 1.08883;
+
+  const linear = [
+    x * 3.2406 + y * -1.5372 + z * -0.4986,
+    x * -0.9689 + y * 1.8758 + z * 0.0415,
+    x * 0.0557 + y * -0.2040 + z * 1.0570
+  ];
+
+  return linear.map(c => {
+    const v = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return v * 255;
+  });
+}
+
+function shiftHexLightness(hex, amount) {
+  const lab = rgbToLab(hexToRgb(hex));
+  lab[0] = Math.min(100, Math.max(0, lab[0] + amount));
+  return rgbToHex(labToRgb(lab));
+}
+
+// CIE76 ΔE between two hex colors
+function colorDistance(hexA, hexB) {
+  const a = rgbToLab(hexToRgb(hexA));
+  const b = rgbToLab(hexToRgb(hexB));
+  return Math.sqrt(Math.pow(a[0] - b[0], 2) + Math.pow(a[1] - b[1], 2) + Math.pow(a[2] - b[2], 2));
+}
+
+/**
+ * ΔE between a retailer color string and a wardrobe colorLabel, or null when
+ * either side is not a recognised color.
+ */
+function colorDistanceToLabel(colorText, colorLabel) {
+  const color = normalizeColor(colorText);
+  const labelHex = colorLabelToHex(colorLabel);
+  if (!color || !labelHex) return null;
+  return colorDistance(color.hex, labelHex);
+}
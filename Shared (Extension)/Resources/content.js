@@ -14,9 +14,15 @@
  * information (images, names, prices, colors, sizes), and displays them in a
  * consistent, user-friendly panel at the bottom of the page.
  *
+ * On product detail pages it also shows a compact wardrobe comparison next to
+ * the site's Add to Bag button (see productPage.js).
+ *
  * ## How to add support for new sites:
  *
- * 1. Each site needs an entry in the SITE_CONFIGS object with:
+ * 1. Each site needs an entry in the SITE_CONFIGS object (siteConfigs.js) with:
+ *    - name, hostnames: How the site is identified by the site registry
+ *    - processor: Function that extracts product info from one cart item
+ *    - readiness: When the cart counts as rendered (see cartReadiness.js)
  *    - cartDetection: Patterns to detect cart pages (URL patterns, DOM selectors, text)
  *    - itemSelectors: CSS selectors for finding items and their attributes
  *
@@ -30,13 +36,14 @@
  *       - Prices
  *       - Size/variant information
  *       - Color information
- *    d) Add a site detection condition in the detectCurrentSite() function
+ *    d) Declare the site's hostnames and processor in its SITE_CONFIGS entry
  *    e) Test with the site's cart page to verify selectors work
  *
  * The extension uses multiple strategies to handle different site implementations:
  * - SPA detection via History API interception
  * - DOM mutation observation for dynamic content
- * - Multiple fallback selectors per site
+ * - Multiple fallback selectors per site, including jQuery-style :contains()
+ *   selectors resolved by selectorEngine.js
  * - Aggressive retry mechanisms
  *
  * ## Current limitations:
@@ -124,72 +131,12 @@ let currentSiteConfig = null;
 // ==============================================
 
 function detectCurrentSite() {
-  const hostname = window.location.hostname;
-  
-  // Check for each supported site
-  if (hostname.includes('zara.com')) {
-    showDebugOverlay("Zara site detected");
-    return SITE_CONFIGS.zara;
-  }
-  
-  // H&M detection
-  if (hostname.includes('hm.com') || hostname.includes('www2.hm.com')) {
-    showDebugOverlay("H&M site detected");
-    return SITE_CONFIGS.hm;
-  }
-  
-  // Aritzia detection
-  if (hostname.includes('aritzia.com')) {
-    showDebugOverlay("Aritzia site detected");
-    return SITE_CONFIGS.aritzia;
-  }
-  
-  // Abercrombie & Fitch detection
-  if (hostname.includes('abercrombie.com')) {
-    showDebugOverlay("Abercrombie & Fitch site detected");
-    return SITE_CONFIGS.abercrombie;
-  }
+  const config = resolveSiteConfig(window.location.hostname);
   
-  // Edikted detection
-  if (hostname.includes('edikted.com')) {
-    showDebugOverlay("Edikted site detected");
-    return SITE_CONFIGS.edikted;
-  }
-  
-  // Princess Polly detection
-  if (hostname.includes('princesspolly.com')) {
-    showDebugOverlay("Princess Polly site detected");
-    return SITE_CONFIGS.princessPolly;
-  }
-  
-  // Revolve detection
-  if (hostname.includes('revolve.com')) {
-    showDebugOverlay("Revolve site detected");
-    return SITE_CONFIGS.revolve;
-  }
-  
-  // OhPolly detection
-  if (hostname.includes('ohpolly.com')) {
-    showDebugOverlay("OhPolly site detected");
-    return SITE_CONFIGS.ohpolly;
-  }
-    
-  if (hostname.includes('fashionnova.com')) {
-    showDebugOverlay("Fashion Nova site detected");
-    console.log("Fashion Nova site detected");
-    return SITE_CONFIGS.fashionNova;
-  }
- 
-  if (hostname.includes('urbanoutfitters.com')) {
-    showDebugOverlay("Urban Outfitters site detected");
-    console.log("Urban Outfitters site detected");
-    return SITE_CONFIGS.urbanOutfitters;
-  }
-  
-  if (hostname.includes('brandymelville.com')) {
-    showDebugOverlay("Brandy Melville site detected");
-    console.log("Brandy Melville site detected");
-    return SITE_CONFIGS.brandyMelville;
+  if (config) {
+    showDebugOverlay(`${config.name} site detected`);
+    console.log(`${config.name} site detected`);
+    return config;
   }
   
   // Default to null if no site matches
@@ -201,7 +148,8 @@ function detectCurrentSite() {
 // URL MONITORING FOR SPA NAVIGATION
 // ==============================================
 
-// Track the current URL to detect changes with improved debugging
+// Handle each route change reported by the navigation watcher
+// (navigationWatcher.js), with specific focus on cart transitions
 function setupURLMonitoring() {
   try {
     showDebugOverlay("URL monitoring setup started");
@@ -211,49 +159,33 @@ function setupURLMonitoring() {
     showDebugOverlay(`Initial URL: ${location.href}`);
     console.log(`Initial URL: ${location.href}`);
     
-    // Track URL changes with specific focus on cart
-    let lastURL = location.href;
     let wasCartURL = checkForCartURL();
-    let checkCount = 0;
     
-    // Check for URL changes more frequently (every 100ms)
-    setInterval(() => {
+    onRouteChange(function(change) {
       try {
-        const currentURL = location.href;
-        checkCount++;
+        const isCartURL = checkForCartURL();
         
-        // Every 10 checks, log that we're still monitoring
-        if (checkCount % 10 === 0) {
-          showDebugOverlay(`URL monitor active: ${currentURL}`);
-          console.log(`URL monitor active: ${currentURL}`);
-        }
+        // Log specific transitions with more detail
+        console.log(`URL CHANGE DETECTED (${change.signal}): ${change.previousURL} → ${change.url}`);
+        showDebugOverlay(`URL CHANGED: ${change.previousURL} → ${change.url}`);
+        showDebugOverlay(`CART STATUS: ${wasCartURL ? 'WAS cart' : 'was NOT cart'} → ${isCartURL ? 'IS cart' : 'is NOT cart'}`);
         
-        if (currentURL !== lastURL) {
-          const isCartURL = checkForCartURL();
-          
-          // Log specific transitions with more detail
-          console.log(`URL CHANGE DETECTED: ${lastURL} → ${currentURL}`);
-          showDebugOverlay(`URL CHANGED: ${lastURL} → ${currentURL}`);
-          showDebugOverlay(`CART STATUS: ${wasCartURL ? 'WAS cart' : 'was NOT cart'} → ${isCartURL ? 'IS cart' : 'is NOT cart'}`);
-          
-          // If we transitioned TO a cart URL, make it more visible in logs
-          if (!wasCartURL && isCartURL) {
-            console.log("🛒 CART PAGE DETECTED! 🛒");
-            showDebugOverlay("🛒 CART PAGE DETECTED! 🛒");
-          }
-          
-          // Update tracking variables
-          lastURL = currentURL;
-          wasCartURL = isCartURL;
-          
-          // Handle the change
-          handleURLChange();
+        // If we transitioned TO a cart URL, make it more visible in logs
+        if (!wasCartURL && isCartURL) {
+          console.log("🛒 CART PAGE DETECTED! 🛒");
+          showDebugOverlay("🛒 CART PAGE DETECTED! 🛒");
         }
+        
+        wasCartURL = isCartURL;
+        
+        // Handle the change
+        handleURLChange();
       } catch (error) {
-        showDebugOverlay("ERROR in URL monitoring interval: " + error.message);
-        console.error("Error in URL monitoring interval:", error);
+        showDebugOverlay("ERROR in route change handler: " + error.message);
+        console.error("Error in route change handler:", error);
       }
-    }, 100); // Check every 100ms
+    });
+    startNavigationWatcher();
     
     showDebugOverlay("URL monitoring successfully initialized");
   } catch (error) {
@@ -291,7 +223,7 @@ function processBrandyMelvilleItem(item, index) {
   
   // Find size
   let size = '';
-  const sizeContainer = item.querySelector('.product-option dt:contains("Size") + dd, dl .product-option:contains("Size") dd');
+  const sizeContainer = extendedQuery(item, '.product-option dt:contains("Size") + dd, dl .product-option:contains("Size") dd');
   if (sizeContainer) {
     size = sizeContainer.textContent.trim();
     console.log(`Found size: ${size}`);
@@ -299,12 +231,16 @@ function processBrandyMelvilleItem(item, index) {
   
   // Find color
   let color = '';
-  const colorContainer = item.querySelector('.product-option dt:contains("Color") + dd, dl .product-option:contains("Color") dd');
+  const colorContainer = extendedQuery(item, '.product-option dt:contains("Color") + dd, dl .product-option:contains("Color") dd');
   if (colorContainer) {
     color = colorContainer.textContent.trim();
     console.log(`Found color: ${color}`);
   }
   
+  // Find product page link and variant
+  const productUrl = getProductUrl(item, nameEl);
+  const variantId = getVariantId(item, productUrl);
+  
   // Find delete link - this is the key difference for Brandy Melville
   const deleteLink = item.querySelector('cart-remove-button a, .button.button--tertiary[href*="quantity=0"]');
   
@@ -312,8 +248,11 @@ function processBrandyMelvilleItem(item, index) {
     imageUrl,
     productName: productName || 'Product',
     price: price || '',
+    money: parseMoney(priceEl),
     size: size || '',
     color: color || '',
+    productUrl,
+    variantId,
     deleteLink  // Store the link for use in deletion
   };
 }
@@ -380,6 +319,10 @@ function processOhPollyItem(item, index) {
     console.log(`Found price: ${price}`);
   }
   
+  // Find product page link and variant
+  const productUrl = getProductUrl(item, titleEl);
+  const variantId = getVariantId(item, productUrl);
+  
   // Find delete button
   const deleteButton = item.querySelector('.crt-Product_Button-remove') ||
                        item.querySelector('button[data-cart-item-el="remove"]');
@@ -393,8 +336,11 @@ function processOhPollyItem(item, index) {
     strapline,
     productName: productName || 'Product',
     price: price || '',
+    money: parseMoney(priceEl),
     size: size || '',
     color: color || '',
+    productUrl,
+    variantId,
     deleteButton // Include button reference for direct use
   };
 }
@@ -453,6 +399,10 @@ function processRevolveItem(item, index) {
     }
   }
   
+  // Find product page link and variant
+  const productUrl = getProductUrl(item, nameEl);
+  const variantId = getVariantId(item, productUrl);
+  
   // Find delete button
   const deleteButton = item.querySelector('button.js-track-remove');
   if (deleteButton) {
@@ -464,8 +414,11 @@ function processRevolveItem(item, index) {
     productName: productName || 'Product',
     brand: brand || '',
     price: price || '',
+    money: parseMoney(priceEl),
     size: size || '',
     color: color || '',
+    productUrl,
+    variantId,
     deleteButton
   };
 }
@@ -521,6 +474,10 @@ function processFashionNovaItem(item, index) {
     }
   }
   
+  // Find product page link and variant
+  const productUrl = getProductUrl(item, nameEl);
+  const variantId = getVariantId(item, productUrl);
+  
   // Find delete button form
   const removeForm = item.querySelector('form[action="/cart"] input[value*="LinesRemove"]');
   const removeButton = item.querySelector('button[data-testid="remove-item"]');
@@ -529,10 +486,13 @@ function processFashionNovaItem(item, index) {
     imageUrl,
     productName: productName || 'Product',
     price: price || '',
+    money: parseMoney(priceEl),
     size: size || '',
     color: color || '',
+    productUrl,
+    variantId,
     removeForm,   // Store the form for later use
-    removeButton  // Store the button for later use
+    deleteButton: removeButton  // Store the button for later use
   };
 }
 
@@ -580,13 +540,30 @@ function processPrincessPollyItem(item, index) {
     }
   }
   
+  // Find product page link and variant
+  const productUrl = getProductUrl(item, nameEl);
+  const variantId = getVariantId(item, productUrl);
+  
+  // Princess Polly has no remove button, only "Remove one"
+  const decreaseButton = item.querySelector('button[title="Remove one"]') ||
+                         item.querySelector('.shopping-cart__td--quantity button:first-child');
+  const quantityInput = item.querySelector('.shopping-cart__td--quantity input');
+  if (decreaseButton) {
+    console.log('Found decrease button for Princess Polly item');
+  }
+  
   return {
     imageUrl,
     productName: productName || 'Product',
     price: price || '',
+    money: parseMoney(priceEl),
     size: size || '',
     color: color || '',
-    variantInfo
+    productUrl,
+    variantId,
+    variantInfo,
+    decreaseButton,
+    quantityInput
   };
 }
 
@@ -642,13 +619,20 @@ function processAritziaItem(item, index) {
     console.log(`Found color: ${color}`);
   }
   
+  // Find product page link and variant
+  const productUrl = getProductUrl(item, nameEl);
+  const variantId = getVariantId(item, productUrl);
+  
   return {
     imageUrl,
     productName: productName || 'Product',
     brand: brand || '',
     price: price || '',
+    money: parseMoney(priceEl),
     size: size || '',
-    color: color || ''
+    color: color || '',
+    productUrl,
+    variantId
   };
 }
 
@@ -675,8 +659,10 @@ function processHMItem(item, index) {
   let price = '';
   const priceElements = Array.from(item.querySelectorAll('span'));
   const priceEl = priceElements.find(el => {
-    // Look for price-like content with currency symbol
-    return el.textContent.includes('$') && /\$\d+\.\d+/.test(el.textContent);
+    // Look for the innermost span holding an amount with a currency, in any locale
+    if (el.querySelector('span')) return false;
+    const money = parseMoney(el.textContent);
+    return money !== null && money.currency !== null;
   });
   
   if (priceEl) {
@@ -716,6 +702,10 @@ function processHMItem(item, index) {
     }
   }
   
+  // Find product page link and variant
+  const productUrl = getProductUrl(item, nameEl);
+  const variantId = getVariantId(item, productUrl);
+  
   // Store references to quantity elements for deletion
   let decreaseButton = null;
   let quantityInput = null;
@@ -741,8 +731,11 @@ function processHMItem(item, index) {
     imageUrl,
     productName: productName || 'Product',
     price: price || '',
+    money: parseMoney(priceEl),
     size: size || '',
     color: color || '',
+    productUrl,
+    variantId,
     decreaseButton, // Store the actual DOM element for later use
     quantityInput   // Store the quantity input for reference
   };
@@ -754,6 +747,17 @@ function handleURLChange() {
     console.log("Cart Image Extractor: URL change detected to:", location.href);
     showDebugOverlay("URL changed to: " + location.href);
     
+    // Observers, timers, any product page widget and pending prompt belong
+    // to the previous URL
+    teardownScope(ROUTE_SCOPE);
+    teardownScope(PANEL_SCOPE);
+    removeProductCompare();
+    closeMindfulPausePrompt();
+    removeCoolingOffGate();
+    
+    // An undo offer for a skipped item outlives the page it was made on
+    restoreUndoToast();
+    
     // First, detect the site we're on
     currentSiteConfig = detectCurrentSite();
     if (!currentSiteConfig) {
@@ -762,35 +766,50 @@ function handleURLChange() {
       return;
     }
     
-    // Second, check if the URL matches cart patterns
-    const isCartURL = checkForCartURL();
+    // Hold Add to Bag clicks for a mindful pause on every supported page
+    installAddToCartInterceptor();
     
     // Reset initialization state on URL change
     hasInitialized = false;
     
+    // A confirmed order counts against the budget. Confirmation pages often
+    // live under /checkout, so this check comes first.
+    if (checkForOrderConfirmationURL()) {
+      console.log("Cart Image Extractor: Order confirmation URL detected");
+      hideCartPanel();
+      recordCheckoutPurchase();
+      return;
+    }
+    
+    // Checkout gets the cooling-off gate instead of the comparison panel
+    if (checkForCheckoutURL()) {
+      console.log("Cart Image Extractor: Checkout URL detected, checking cooling-off");
+      showDebugOverlay("Checkout URL matched, checking cooling-off");
+      hideCartPanel();
+      initializeCheckoutGate();
+      return;
+    }
+    
+    // Second, check if the URL matches cart patterns
+    const isCartURL = checkForCartURL();
+    
     if (isCartURL) {
-      // Special handling for Abercrombie with longer delay
-      if (window.location.hostname.includes('abercrombie.com')) {
-        console.log("Abercrombie cart detected, using longer delay for content loading");
-        setTimeout(() => {
-          initializeExtension();
-        }, 2000); // Increase to 2 seconds for Abercrombie
-        return; // Skip the regular timeout below
-      }
-      
       // If it's a cart URL, proceed with cart detection and panel display
       console.log("Cart Image Extractor: Cart URL detected, initializing");
       showDebugOverlay("Cart URL matched, initializing");
       
-      // Wait a bit for the page to load cart content
-      setTimeout(() => {
-        initializeExtension();
-      }, 800); // Slightly longer delay to ensure cart items are loaded
+      // initializeExtension waits for the site's cart to render
+      initializeExtension();
     } else {
       // Not a cart URL, hide the panel if it exists
       console.log("Cart Image Extractor: Not a cart URL, hiding panel");
       showDebugOverlay("Not a cart URL, hiding panel");
       hideCartPanel();
+      
+      // Product pages get a compact comparison next to the Add to Bag button
+      trackedTimeout(ROUTE_SCOPE, () => {
+        initializeProductPageMode();
+      }, PRODUCT_PAGE_SETTLE_DELAY);
     }
   } catch (error) {
     showDebugOverlay("ERROR in handleURLChange: " + error.message);
@@ -828,12 +847,15 @@ function checkForCartURL() {
 // Function to hide the cart panel
 function hideCartPanel() {
   try {
+    // Nothing to keep the panel up to date for
+    teardownScope(PANEL_SCOPE);
+    
     const panel = document.getElementById('cart-panel');
     if (panel) {
       panel.classList.add('hidden');
       
       // Optional: Remove panel entirely after animation completes
-      setTimeout(() => {
+      trackedTimeout(ROUTE_SCOPE, () => {
         if (panel.parentNode) {
           panel.parentNode.removeChild(panel);
         }
@@ -851,30 +873,6 @@ function hideCartPanel() {
   }
 }
 
-// New function to check only for cart elements
-function checkForCartElements() {
-  try {
-    if (!currentSiteConfig) return false;
-    
-    // Check for cart elements that might appear in the DOM
-    const hasCartElements = currentSiteConfig.cartDetection.domSelectors.some(selector =>
-      Boolean(document.querySelector(selector))
-    );
-    
-    if (hasCartElements) {
-      console.log("Cart Image Extractor: Cart elements found");
-        showDebugOverlay("Cart elements found");
-        return true;
-      }
-      
-      return false;
-    } catch (error) {
-      showDebugOverlay("ERROR in checkForCartElements: " + error.message);
-      console.error("Error in checkForCartElements:", error);
-      return false;
-    }
-  }
-
   // ==============================================
   // CORE INITIALIZATION - MODIFIED
   // ==============================================
@@ -896,57 +894,84 @@ function initializeExtension() {
       return;
     }
 
-    // Check for cart elements
-    if (checkForCartElements()) {
-      hasInitialized = true;
-      console.log("Cart Image Extractor: Initializing extension on cart page");
-      showDebugOverlay("Initializing extension on cart page");
+    // Set up once the site's readiness conditions hold
+    waitForCart(currentSiteConfig).then(readiness => {
+      if (readiness.cancelled || hasInitialized) return;
 
-      // Create panel
-      const panel = createBottomPanel();
+      if (readiness.ready) {
+        showDebugOverlay(`Cart ready: ${readiness.itemCount} items after ${readiness.waited}ms`);
+      } else {
+        // Read what is there anyway: an empty cart never becomes "ready", and
+        // extraction hides the panel and keeps watching until items appear
+        console.log("Cart Image Extractor: Cart not ready, extracting anyway -", readiness.reason);
+        showDebugOverlay("Cart not ready: " + readiness.reason);
+      }
+      setUpCartPanel();
+    }).catch(error => {
+      showDebugOverlay("ERROR in waitForCart: " + error.message);
+      console.error("Error in waitForCart:", error);
+    });
+  } catch (error) {
+    showDebugOverlay("ERROR in initializeExtension: " + error.message);
+    console.error("Error in initializeExtension:", error);
+  }
+}
 
-      // Initialize cart state
-      panel.cartState = panel.cartState || {
-        items: [],
-        currentIndex: 0,
-        similarItems: [],
-        similarItemsIndex: {},
-        wardrobeBottoms: []
-      };
+// Create the panel, load the wardrobe and settings, and extract the cart
+function setUpCartPanel() {
+  try {
+    hasInitialized = true;
+    console.log("Cart Image Extractor: Initializing extension on cart page");
+    showDebugOverlay("Initializing extension on cart page");
 
-      // Fetch wardrobe bottoms
-      browser.runtime.sendMessage({ action: "getBottoms" }, function(response) {
-        if (response && response.bottoms) {
-          panel.cartState.wardrobeBottoms = response.bottoms;
-          console.log(`Cart Image Extractor: Fetched ${response.bottoms.length} wardrobe bottoms`);
-          showDebugOverlay(`Fetched ${response.bottoms.length} wardrobe bottoms`);
-        } else {
-          console.error("Cart Image Extractor: Failed to fetch wardrobe bottoms");
-          showDebugOverlay("Failed to fetch wardrobe bottoms");
-          panel.cartState.wardrobeBottoms = [];
-        }
+    // Create panel
+    const panel = createBottomPanel();
+
+    // Initialize cart state
+    panel.cartState = panel.cartState || {
+      items: [],
+      currentIndex: 0,
+      similarItems: [],
+      similarItemsIndex: {},
+      wardrobeItems: []
+    };
+
+    // Fetch the whole wardrobe; each cart item is matched against its own
+    // category in processCartItems
+    browser.runtime.sendMessage({ action: "getWardrobeItems" }, function(response) {
+      if (response && Array.isArray(response.items)) {
+        panel.cartState.wardrobeItems = response.items;
+        console.log(`Cart Image Extractor: Fetched ${response.items.length} wardrobe items`);
+        showDebugOverlay(`Fetched ${response.items.length} wardrobe items`);
+      } else {
+        console.error("Cart Image Extractor: Failed to fetch wardrobe items");
+        showDebugOverlay("Failed to fetch wardrobe items");
+        panel.cartState.wardrobeItems = [];
+      }
+
+      Promise.all([loadExtensionSettings(), loadMonthlySpending(), loadMaybeLater()])
+        .catch(error => {
+          console.error("Cart Image Extractor: Failed to load panel state, using defaults:", error);
+          return [Object.assign({}, DEFAULT_EXTENSION_SETTINGS), { month: budgetMonthKey(), purchases: [] }, []];
+        })
+        .then(([settings, spending, maybeLater]) => {
+          panel.cartState.settings = settings;
+          panel.cartState.spending = spending;
+          panel.cartState.maybeLater = maybeLater;
 
-        // Extract cart items and display
-        setTimeout(() => {
+          // Extract cart items and display
           extractAndDisplayImages();
           // Set up observation for dynamic changes
           observeCartChanges();
-        }, 800);
-      });
-    } else {
-      console.log("Cart Image Extractor: Cart URL but no cart elements yet, waiting");
-      showDebugOverlay("Cart URL matched but elements not found yet");
-
-      // Retry after a short delay
-      setTimeout(() => {
-        if (!hasInitialized && checkForCartURL()) {
-          initializeExtension();
-        }
-      }, 1500);
-    }
+        })
+        .catch(error => {
+          showDebugOverlay("ERROR in setUpCartPanel: " + error.message);
+          console.error("Error in setUpCartPanel:", error);
+        });
+    });
   } catch (error) {
-    showDebugOverlay("ERROR in initializeExtension: " + error.message);
-    console.error("Error in initializeExtension:", error);
+    showDebugOverlay("ERROR in setUpCartPanel: " + error.message);
+    console.error("Error in setUpCartPanel:", error);
   }
 }
 
@@ -962,7 +987,7 @@ function initializeExtension() {
   try {
     setupURLMonitoring();
     // Initial URL check
-    setTimeout(() => {
+    trackedTimeout(ROUTE_SCOPE, () => {
       currentSiteConfig = detectCurrentSite();
       handleURLChange();
     }, 500);
@@ -984,44 +1009,6 @@ function initializeExtension() {
     }
   });
 
-  // Monitor for History API changes - crucial for SPA navigation
-  const originalPushState = history.pushState;
-  history.pushState = function() {
-    try {
-      originalPushState.apply(this, arguments);
-      console.log("Cart Image Extractor: pushState detected");
-      showDebugOverlay("pushState detected");
-      handleURLChange();
-    } catch (error) {
-      showDebugOverlay("ERROR in pushState handler: " + error.message);
-      console.error("Error in pushState handler:", error);
-    }
-  };
-
-  const originalReplaceState = history.replaceState;
-  history.replaceState = function() {
-    try {
-      originalReplaceState.apply(this, arguments);
-      console.log("Cart Image Extractor: replaceState detected");
-      showDebugOverlay("replaceState detected");
-      handleURLChange();
-    } catch (error) {
-      showDebugOverlay("ERROR in replaceState handler: " + error.message);
-      console.error("Error in replaceState handler:", error);
-    }
-  };
-
-  window.addEventListener('popstate', function() {
-    try {
-      console.log("Cart Image Extractor: popstate event detected");
-      showDebugOverlay("popstate event detected");
-      handleURLChange();
-    } catch (error) {
-      showDebugOverlay("ERROR in popstate handler: " + error.message);
-      console.error("Error in popstate handler:", error);
-    }
-  });
-
   // ==============================================
   // EXTRACT AND DISPLAY CART ITEMS
   // ==============================================
@@ -1048,6 +1035,38 @@ function initializeExtension() {
         showDebugOverlay("Panel already exists");
       }
       
+      // Shopify storefronts publish their cart as JSON, which is far more
+      // reliable than their theme markup. Fall back to the DOM on any failure.
+      if (currentSiteConfig.platform === 'shopify') {
+        fetchShopifyCartItems()
+          .then(items => {
+            if (items.length === 0) {
+              console.log("Cart Image Extractor: Shopify cart.js is empty, checking the DOM");
+              extractCartItemsFromDOM(panel);
+              return;
+            }
+            console.log(`Cart Image Extractor: Loaded ${items.length} items from Shopify cart.js`);
+            showDebugOverlay(`Loaded ${items.length} items from cart.js`);
+            processCartItems(items, panel, SHOPIFY_CART_SOURCE);
+          })
+          .catch(error => {
+            console.log("Cart Image Extractor: Shopify cart.js unavailable, falling back to DOM:", error.message);
+            showDebugOverlay("cart.js unavailable, using DOM: " + error.message);
+            extractCartItemsFromDOM(panel);
+          });
+        return;
+      }
+      
+      extractCartItemsFromDOM(panel);
+    } catch (error) {
+      showDebugOverlay("ERROR in extractAndDisplayImages: " + error.message);
+      console.error("Error in extractAndDisplayImages:", error);
+    }
+  }
+
+  // Find cart item elements with the site's container selectors and process them
+  function extractCartItemsFromDOM(panel) {
+    try {
       // Try selectors for cart items from the site configuration
       const selectors = currentSiteConfig.itemSelectors.container;
       
@@ -1056,7 +1075,7 @@ function initializeExtension() {
       
       // Try each selector until we find cart items
       for (const selector of selectors) {
-        const items = document.querySelectorAll(selector);
+        const items = extendedQueryAll(document, selector);
         console.log(`Cart Image Extractor: Trying selector "${selector}" - found ${items.length} items`);
         showDebugOverlay(`Selector "${selector}": ${items.length} items`);
         
@@ -1067,35 +1086,17 @@ function initializeExtension() {
         }
       }
       
-      // Debug logging for Abercrombie
-      if (window.location.hostname.includes('abercrombie.com')) {
-        console.log("Cart item selectors tried:", currentSiteConfig.itemSelectors.container);
-        document.querySelectorAll('.product-template-item').forEach((item, i) => {
-          console.log(`Direct DOM check: Found product-template-item ${i+1}`);
-        });
-        document.querySelectorAll('[data-testid="bag-item"]').forEach((item, i) => {
-          console.log(`Direct DOM check: Found bag-item ${i+1}`);
-        });
-      }
-      
       if (cartItems.length === 0) {
-        // Special handling for Abercrombie
-        if (window.location.hostname.includes('abercrombie.com')) {
-          console.log("No Abercrombie items found with selectors, trying direct DOM queries");
+        // Some sites render items outside the usual containers at first
+        const fallbackContainers = currentSiteConfig.readiness.fallbackContainers || [];
+        if (fallbackContainers.length > 0) {
+          console.log(`No ${currentSiteConfig.name} items found with selectors, trying direct DOM queries`);
           // Try direct DOM queries as fallback
-          const directItems = document.querySelectorAll('.product-template-item, [data-testid="bag-item"], div.product-template, ul.shopping-bag-list-mfe li');
+          const directItems = extendedQueryAll(document, fallbackContainers.join(', '));
           if (directItems.length > 0) {
             console.log(`Found ${directItems.length} items via direct DOM query`);
             cartItems = directItems;
             usedSelector = 'direct-dom-query';
-          } else {
-            // Set up more aggressive retry
-            console.log("Still no items, setting up aggressive retry");
-            setTimeout(() => {
-              if (!hasInitialized && checkForCartURL()) {
-                extractAndDisplayImages();
-              }
-            }, 3000); // Try again after 3 seconds
           }
         }
         
@@ -1104,12 +1105,10 @@ function initializeExtension() {
           console.log("Cart Image Extractor: No cart items found, hiding panel");
           hideCartPanel();
           
-          // Set up to check again soon but don't show the panel yet
-          setTimeout(() => {
-            if (!hasInitialized && checkForCartURL()) {
-              extractAndDisplayImages();
-            }
-          }, 1000);
+          // An emptied cart can fill up again without a route change
+          if (hasInitialized) {
+            observeCartChanges();
+          }
           return;
         }
       }
@@ -1117,8 +1116,8 @@ function initializeExtension() {
       // Process the cart items
       processCartItems(cartItems, panel, usedSelector);
     } catch (error) {
-      showDebugOverlay("ERROR in extractAndDisplayImages: " + error.message);
-      console.error("Error in extractAndDisplayImages:", error);
+      showDebugOverlay("ERROR in extractCartItemsFromDOM: " + error.message);
+      console.error("Error in extractCartItemsFromDOM:", error);
     }
   }
 
@@ -1136,7 +1135,7 @@ function getImageUrl(item) {
   
   // Try each image selector
   for (const selector of imageSelectors) {
-    imgElement = item.querySelector(selector);
+    imgElement = extendedQuery(item, selector);
     if (imgElement) {
       // Handle both img elements and background images
       if (imgElement.tagName === 'IMG' && imgElement.src) {
@@ -1173,11 +1172,20 @@ function getImageUrl(item) {
 
       
 
-      // Observe changes to the cart to update our panel
+      // Re-extract at most once per animation frame, however many mutations
+      // arrive in between
+      const scheduleCartExtraction = throttleToAnimationFrame(PANEL_SCOPE, function() {
+        extractAndDisplayImages();
+      });
+      
+      // Observe changes to the cart to update our panel. Observers live in
+      // PANEL_SCOPE (lifecycleManager.js), so calling this again replaces them.
       function observeCartChanges() {
         try {
           if (!currentSiteConfig) return;
           
+          teardownScope(PANEL_SCOPE);
+          
           console.log("Cart Image Extractor: Setting up observer");
           showDebugOverlay("Setting up observer");
           
@@ -1188,7 +1196,7 @@ function getImageUrl(item) {
           
           // Try each possible container selector
           for (const selector of possibleCartContainers) {
-            cartContainer = document.querySelector(selector);
+            cartContainer = extendedQuery(document, selector);
             if (cartContainer) {
               console.log(`Cart Image Extractor: Found cart container "${selector}" to observe`);
               showDebugOverlay(`Found cart container "${selector}" to observe`);
@@ -1197,11 +1205,11 @@ function getImageUrl(item) {
           }
           
           if (cartContainer) {
-            const observer = new MutationObserver(function(mutations) {
+            const observer = trackedObserver(PANEL_SCOPE, function(mutations) {
               try {
                 console.log("Cart Image Extractor: Cart content changed, updating panel");
                 showDebugOverlay("Cart content changed, updating panel");
-                extractAndDisplayImages();
+                scheduleCartExtraction();
               } catch (error) {
                 showDebugOverlay("ERROR in cart observer callback: " + error.message);
                 console.error("Error in cart observer callback:", error);
@@ -1218,10 +1226,14 @@ function getImageUrl(item) {
             showDebugOverlay("Couldn't find cart container to observe");
             
             // Fallback to body observation with more focused checking
-            const observer = new MutationObserver(function(mutations) {
+            const observer = trackedObserver(PANEL_SCOPE, function(mutations) {
               try {
-                // Look for mutations that might indicate cart items loading
+                // Look for mutations that might indicate cart items loading,
+                // ignoring our own panel and toast re-rendering
                 const cartRelatedMutation = mutations.some(mutation => {
+                  const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+                  if (target && target.closest('#cart-panel, #panel-toggle-button, .undo-toast')) return false;
+                  
                   const cartIndicators = currentSiteConfig.cartDetection.textIndicators;
                   
                   // Check if mutation target or its parent has cart-related class/id
@@ -1239,7 +1251,7 @@ function getImageUrl(item) {
                 if (cartRelatedMutation) {
                   console.log("Cart Image Extractor: Cart-related DOM change detected");
                   showDebugOverlay("Cart-related DOM change detected");
-                  extractAndDisplayImages();
+                  scheduleCartExtraction();
                 }
               } catch (error) {
                 showDebugOverlay("ERROR in fallback observer callback: " + error.message);
@@ -1260,5 +1272,12 @@ function getImageUrl(item) {
         }
       }
 
+      // Pick the cart back up when the user reopens the panel; it may have
+      // changed while nobody was watching
+      function resumeCartWatching() {
+        observeCartChanges();
+        scheduleCartExtraction();
+      }
+
 // Function to create the full-screen comparison panel
 
@@ -0,0 +1,143 @@
+//
+//  costPerWear.js
+//  SkipTheCart
+//
+
+/**
+ * Cost-per-wear estimate
+ * ======================
+ *
+ *   cost per wear = price / (wears per month × share of wear time × lifetime)
+ *
+ * Wears per month default by wardrobe category and can be changed per product
+ * in the panel; the value is kept in browser.storage.local. Similar items the
+ * user already owns compete for the same occasions, so with N of them the new
+ * item only gets 1 / (N + 1) of the wear time.
+ */
+
+const DEFAULT_WEARS_PER_MONTH = {
+  Tops: 4,
+  Bottoms: 6,
+  Dresses: 2,
+  Skirts: 3,
+  Coats: 8,
+  Shoes: 6
+};
+const FALLBACK_WEARS_PER_MONTH = 3;
+
+// How long we assume a piece stays in rotation
+const COST_PER_WEAR_LIFETIME_MONTHS = 24;
+
+const WEAR_FREQUENCY_STORAGE_PREFIX = 'stc:wearFrequency:';
+
+// Stored wear frequencies already read this page load, by storage key
+const wearFrequencyCache = {};
+
+function wearFrequencyStorageKey(cartItem) {
+  const siteKey = currentSiteConfig ? currentSiteConfig.key : 'unknown';
+  return `${WEAR_FREQUENCY_STORAGE_PREFIX}${siteKey}:${hashString(cartItem.productUrl || cartItem.productName || '')}`;
+}
+
+function loadWearFrequency(cartItem) {
+  const key = wearFrequencyStorageKey(cartItem);
+  if (key in wearFrequencyCache) return Promise.resolve(wearFrequencyCache[key]);
+
+  return browser.storage.local.get(key)
+    .then(result => {
+      wearFrequencyCache[key] = typeof result[key] === 'number' ? result[key] : null;
+      return wearFrequencyCache[key];
+    })
+    .catch(error => {
+      console.error("Cart Image Extractor: Failed to load wear frequency:", error);
+      return null;
+    });
+}
+
+function saveWearFrequency(cartItem, wearsPerMonth) {
+  const key = wearFrequencyStorageKey(cartItem);
+  wearFrequencyCache[key] = wearsPerMonth;
+  return browser.storage.local.set({ [key]: wearsPerMonth })
+    .catch(error => console.error("Cart Image Extractor: Failed to save wear frequency:", error));
+}
+
+/**
+ * @returns {?{costPerWear: number, currency: ?string, wearsPerMonth: number, competingItems: number, totalWears: number}}
+ *          null when the price cannot be read
+ */
+function estimateCostPerWear(cartItem, competingItems, wearsPerMonth) {
+  const money = cartItem.money || parseMoney(cartItem.price);
+  if (!money) return null;
+
+  const frequency = wearsPerMonth || DEFAULT_WEARS_PER_MONTH[cartItem.category] || FALLBACK_WEARS_PER_MONTH;
+  const totalWears = (frequency / (competingItems + 1)) * COST_PER_WEAR_LIFETIME_MONTHS;
+
+  return {
+    costPerWear: money.amount / totalWears,
+    currency: money.currency,
+    wearsPerMonth: frequency,
+    competingItems: competingItems,
+    totalWears: totalWears
+  };
+}
+
+function createCostPerWearSection(cartItem, competingItems) {
+  const section = document.createElement('div');
+  section.className = 'cost-per-wear';
+
+  const value = document.createElement('div');
+  value.className = 'cost-per-wear-value';
+  section.appendChild(value);
+
+  const explanation = document.createElement('div');
+  explanation.className = 'cost-per-wear-explanation';
+  section.appendChild(explanation);
+
+  const label = document.createElement('label');
+  label.className = 'cost-per-wear-input-label';
+  label.textContent = 'How often will you wear this? ';
+  const input = document.createElement('input');
+  input.className = 'cost-per-wear-input';
+  input.type = 'number';
+  input.min = '0.25';
+  input.max = '31';
+  input.step = '0.25';
+  label.appendChild(input);
+  label.appendChild(document.createTextNode(' times a month'));
+  section.appendChild(label);
+
+  // The input is only rewritten when the value did not come from it
+  const render = (wearsPerMonth, syncInput) => {
+    const estimate = estimateCostPerWear(cartItem, competingItems, wearsPerMonth);
+    if (!estimate) {
+      value.textContent = 'Cost per wear unavailable';
+      explanation.textContent = "We couldn't read this item's price.";
+      return;
+    }
+
+    if (syncInput) input.value = String(estimate.wearsPerMonth);
+    value.textContent = `≈ ${formatMoney(estimate.costPerWear, estimate.currency)} per wear`;
+    explanation.textContent = estimate.competingItems > 0
+      ? `${estimate.wearsPerMonth}× a month, shared with ${estimate.competingItems} similar item(s) you own, over ${COST_PER_WEAR_LIFETIME_MONTHS / 12} years`
+      : `${estimate.wearsPerMonth}× a month over ${COST_PER_WEAR_LIFETIME_MONTHS / 12} years`;
+  };
+
+  render(null, true);
+  loadWearFrequency(cartItem).then(stored => {
+    if (stored && document.activeElement !== input) render(stored, true);
+  });
+
+  input.addEventListener('input', function() {
+    const wearsPerMonth = parseFloat(input.value);
+    if (isFinite(wearsPerMonth) && wearsPerMonth > 0) {
+      render(wearsPerMonth, false);
+    }
+  });
+  input.addEventListener('change', function() {
+    const wearsPerMonth = parseFloat(input.value);
+    if (isFinite(wearsPerMonth) && wearsPerMonth > 0) {
+      saveWearFrequency(cartItem, wearsPerMonth);
+    }
+  });
+
+  return section;
+}
@@ -0,0 +1,120 @@
+//
+//  duplicateWarning.js
+//  SkipTheCart
+//
+
+/**
+ * Duplicate-purchase warning
+ * ==========================
+ *
+ * A cart item is a likely duplicate of a wardrobe item when both are in the
+ * same wardrobe category and the same color family. Once a cart item has at
+ * least settings.duplicateWarningMinItems such duplicates, the panel opens on
+ * it with a warning banner ("You already own 3 black jeans") listing them.
+ *
+ * settings.duplicateWarningTone picks the copy: 'gentle' or 'firm'.
+ */
+
+const DUPLICATE_WARNING_COPY = {
+  gentle: {
+    title: 'Looks familiar?',
+    message: (description) => `You already own ${description}.`
+  },
+  firm: {
+    title: 'Duplicate alert',
+    message: (description) => `You already own ${description}. Do you really need another?`
+  }
+};
+
+// Wardrobe items in the cart item's category and color family, both compared
+// case-insensitively
+function findDuplicateWardrobeItems(cartItem, wardrobeItems) {
+  try {
+    const color = normalizeColor(cartItem.color);
+    if (!cartItem.category || !color) return [];
+
+    const category = cartItem.category.toLowerCase();
+    return wardrobeItems.filter(item =>
+      String(wardrobeCategoryKey(item.categoryName) || '').toLowerCase() === category &&
+      String(item.colorLabel || '').toLowerCase() === color.family
+    );
+  } catch (error) {
+    console.error("Error in findDuplicateWardrobeItems:", error);
+    return [];
+  }
+}
+
+// Subcategories that are counted in pairs ("a pair of black jeans")
+const PAIRED_SUBCATEGORIES = ['jeans', 'trousers', 'shorts', 'leggings', 'joggers', 'sneakers', 'boots', 'heels', 'sandals', 'flats'];
+
+// "3 black jeans", "a pair of black jeans", "an orange mini dress"
+function describeDuplicates(cartItem, count) {
+  const family = normalizeColor(cartItem.color).family;
+  // Subcategory names are plural ("jeans", "mini dresses")
+  const subcategory = cartItem.classification && cartItem.classification.subcategory;
+  const nouns = WARDROBE_CATEGORY_NOUNS[cartItem.category] || ['item', 'items'];
+
+  if (count > 1) {
+    return `${count} ${family} ${subcategory || nouns[1]}`;
+  }
+
+  if (PAIRED_SUBCATEGORIES.includes(subcategory)) {
+    return `a pair of ${family} ${subcategory}`;
+  }
+
+  const singular = !subcategory ? nouns[0]
+    : /(ss|sh|ch|x)es$/.test(subcategory) ? subcategory.slice(0, -2) : subcategory.replace(/s$/, '');
+  return `${/^[aeiou]/.test(family) ? 'an' : 'a'} ${family} ${singular}`;
+}
+
+// Flag every cart item with enough duplicates and return the index of the
+// first one, or -1 when there is nothing to warn about
+function markDuplicateCartItems(panel, minItems) {
+  let firstIndex = -1;
+  panel.cartState.items.forEach((cartItem, index) => {
+    const duplicates = findDuplicateWardrobeItems(cartItem, panel.cartState.wardrobeItems || []);
+    cartItem.duplicates = duplicates.length >= Math.max(minItems, 1) ? duplicates : [];
+    if (cartItem.duplicates.length > 0 && firstIndex === -1) {
+      firstIndex = index;
+    }
+  });
+  return firstIndex;
+}
+
+function createDuplicateWarning(cartItem, tone) {
+  const copy = DUPLICATE_WARNING_COPY[tone] || DUPLICATE_WARNING_COPY.gentle;
+
+  const banner = document.createElement('div');
+  banner.className = `duplicate-warning duplicate-warning-${tone in DUPLICATE_WARNING_COPY ? tone : 'gentle'}`;
+  banner.setAttribute('role', 'alert');
+
+  const title = document.createElement('div');
+  title.className = 'duplicate-warning-title';
+  title.textContent = copy.title;
+  banner.appendChild(title);
+
+  const message = document.createElement('div');
+  message.className = 'duplicate-warning-message';
+  message.textContent = copy.message(describeDuplicates(cartItem, cartItem.duplicates.length));
+  banner.appendChild(message);
+
+  const list = document.createElement('div');
+  list.className = 'duplicate-warning-items';
+  cartItem.duplicates.slice(0, 6).forEach(item => {
+    const thumb = document.createElement('img');
+    thumb.className = 'duplicate-warning-thumb';
+    thumb.src = item.image ? `data:image/jpeg;base64,${item.image}` : '/api/placeholder/200/250';
+    thumb.alt = `${item.colorLabel} ${item.categoryName}`;
+    thumb.title = item.dateAdded ? `Added on ${new Date(item.dateAdded).toLocaleDateString()}` : '';
+    list.appendChild(thumb);
+  });
+  if (cartItem.duplicates.length > 6) {
+    const more = document.createElement('div');
+    more.className = 'duplicate-warning-more';
+    more.textContent = `+${cartItem.duplicates.length - 6}`;
+    list.appendChild(more);
+  }
+  banner.appendChild(list);
+
+  return banner;
+}
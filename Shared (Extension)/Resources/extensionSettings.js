@@ -0,0 +1,46 @@
+//
+//  extensionSettings.js
+//  SkipTheCart
+//
+
+/**
+ * User-adjustable settings, persisted in browser.storage.local so every tab
+ * (and the popup) sees the same values. Missing keys fall back to the
+ * defaults below.
+ */
+
+const EXTENSION_SETTINGS_KEY = 'stc:settings';
+
+const DEFAULT_EXTENSION_SETTINGS = {
+  // Minutes a new cart waits at checkout before "Proceed" unlocks (0 disables)
+  coolingOffMinutes: 10,
+
+  // Wardrobe matches scoring below this (0-1) are hidden in the panel
+  similarityThreshold: 0.5,
+
+  // Same-category, same-color wardrobe items needed to show the duplicate warning
+  duplicateWarningMinItems: 1,
+
+  // Copy used by the duplicate warning: 'gentle' or 'firm'
+  duplicateWarningTone: 'gentle',
+
+  // Monthly clothing budget in the shopper's currency (0 means no budget)
+  monthlyBudget: 0
+};
+
+function loadExtensionSettings() {
+  return browser.storage.local.get(EXTENSION_SETTINGS_KEY)
+    .then(result => Object.assign({}, DEFAULT_EXTENSION_SETTINGS, result[EXTENSION_SETTINGS_KEY] || {}))
+    .catch(error => {
+      console.error("Cart Image Extractor: Failed to load settings, using defaults:", error);
+      return Object.assign({}, DEFAULT_EXTENSION_SETTINGS);
+    });
+}
+
+// Merge `changes` into the stored settings and resolve with the result
+function saveExtensionSettings(changes) {
+  return loadExtensionSettings().then(settings => {
+    const updated = Object.assign(settings, changes);
+    return browser.storage.local.set({ [EXTENSION_SETTINGS_KEY]: updated }).then(() => updated);
+  });
+}
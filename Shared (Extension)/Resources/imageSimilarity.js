@@ -0,0 +1,303 @@
+//
+//  imageSimilarity.js
+//  SkipTheCart
+//
+
+/**
+ * On-device image similarity
+ * ==========================
+ *
+ * Compares a cart photo with wardrobe photos using three cheap canvas
+ * descriptors:
+ *   - phash:      64-bit perceptual hash (DCT of a 32x32 grayscale thumbnail)
+ *   - histogram:  64-bin color histogram of the foreground pixels
+ *   - silhouette: foreground mask cropped to its bounding box, plus the
+ *                 bounding box aspect ratio
+ *
+ * The foreground is everything that differs clearly from the border color,
+ * which works for the plain backdrops of product and wardrobe photos.
+ *
+ * Wardrobe images arrive as base64 JPEGs and can be drawn directly. Retailer
+ * images are cross-origin and would taint the canvas, so they are fetched by
+ * the background script (fetchImageAsDataURL) and drawn from a data URL.
+ *
+ * Descriptors are cached per image source, so each photo is decoded once.
+ * Wardrobe data URLs run to hundreds of kilobytes, so they are cached under
+ * a hash of their contents rather than the URL itself.
+ */
+
+const IMAGE_THUMBNAIL_SIZE = 32;
+const IMAGE_SILHOUETTE_SIZE = 16;
+
+// RGB distance from the border color above which a pixel is foreground
+const IMAGE_FOREGROUND_THRESHOLD = 48;
+
+// How much each descriptor contributes to the visual score
+const IMAGE_SIMILARITY_WEIGHTS = {
+  phash: 0.35,
+  histogram: 0.4,
+  silhouette: 0.25
+};
+
+const IMAGE_DESCRIPTOR_CACHE_LIMIT = 200;
+
+// imageCacheKey(source) → Promise of descriptors (or null when the image
+// cannot be read)
+const imageDescriptorCache = new Map();
+
+/**
+ * Resolve with the descriptors for an image, or null when it cannot be
+ * loaded. Concurrent requests for the same source share one computation.
+ */
+function getImageDescriptors(src) {
+  if (!src || src.startsWith('/api/placeholder')) return Promise.resolve(null);
+
+  const key = imageCacheKey(src);
+  if (imageDescriptorCache.has(key)) {
+    return imageDescriptorCache.get(key);
+  }
+
+  const pending = loadImageForCanvas(src)
+    .then(image => computeImageDescriptors(image))
+    .catch(error => {
+      console.error("Cart Image Extractor: Could not compute image descriptors:", error.message);
+      return null;
+    });
+
+  imageDescriptorCache.set(key, pending);
+  if (imageDescriptorCache.size > IMAGE_DESCRIPTOR_CACHE_LIMIT) {
+    // Maps iterate in insertion order, so the first key is the oldest
+    imageDescriptorCache.delete(imageDescriptorCache.keys().next().value);
+  }
+
+  return pending;
+}
+
+// hashString is in checkoutCoolingOff.js; the length makes a collision
+// between two data URLs even less likely
+function imageCacheKey(src) {
+  return src.startsWith('data:') ? `data:${hashString(src)}:${src.length}` : src;
+}
+
+/**
+ * Visual similarity of two images on a 0-1 scale, or null when either image
+ * cannot be read. Resolves with { score, phash, histogram, silhouette }.
+ */
+function compareImages(srcA, srcB) {
+  return Promise.all([getImageDescriptors(srcA), getImageDescriptors(srcB)])
+    .then(([a, b]) => (a && b) ? compareImageDescriptors(a, b) : null);
+}
+
+function compareImageDescriptors(a, b) {
+  const parts = {
+    phash: 1 - hammingDistance(a.phash, b.phash) / a.phash.length,
+    histogram: histogramIntersection(a.histogram, b.histogram),
+    silhouette: silhouetteSimilarity(a.silhouette, b.silhouette)
+  };
+
+  let score = 0;
+  Object.keys(IMAGE_SIMILARITY_WEIGHTS).forEach(name => {
+    score += parts[name] * IMAGE_SIMILARITY_WEIGHTS[name];
+  });
+
+  return Object.assign({ score: Math.round(score * 100) / 100 }, parts);
+}
+
+// ==============================================
+// IMAGE LOADING
+// ==============================================
+
+function loadImageForCanvas(src) {
+  return resolveCanvasSafeSource(src).then(safeSrc => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Image failed to load"));
+    image.src = safeSrc;
+  }));
+}
+
+// Data URLs and same-origin images can be drawn as they are; anything else
+// goes through the background script
+function resolveCanvasSafeSource(src) {
+  if (src.startsWith('data:')) return Promise.resolve(src);
+
+  let url;
+  try {
+    url = new URL(src, window.location.href);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  if (url.origin === window.location.origin) return Promise.resolve(url.href);
+
+  return new Promise((resolve, reject) => {
+    browser.runtime.sendMessage({ action: "fetchImageAsDataURL", url: url.href }, function(response) {
+      if (response && response.dataUrl) {
+        resolve(response.dataUrl);
+      } else {
+        reject(new Error((response && response.error) || "No response from background script"));
+      }
+    });
+  });
+}
+
+// ==============================================
+// DESCRIPTORS
+// ==============================================
+
+function computeImageDescriptors(image) {
+  const size = IMAGE_THUMBNAIL_SIZE;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, size, size);
+  const pixels = context.getImageData(0, 0, size, size).data;
+
+  const foreground = computeForegroundMask(pixels, size);
+
+  return {
+    phash: computePerceptualHash(pixels, size),
+    histogram: computeColorHistogram(pixels, foreground),
+    silhouette: computeSilhouette(foreground, size, image.naturalWidth / (image.naturalHeight || 1))
+  };
+}
+
+function computePerceptualHash(pixels, size) {
+  const gray = new Float32Array(size * size);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114;
+  }
+
+  // Low frequency 8x8 block of the 2D DCT-II
+  const coefficients = [];
+  for (let u = 0; u < 8; u++) {
+    for (let v = 0; v < 8; v++) {
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        const cosY = Math.cos(((2 * y + 1) * u * Math.PI) / (2 * size));
+        for (let x = 0; x < size; x++) {
+          sum += gray[y * size + x] * cosY * Math.cos(((2 * x + 1) * v * Math.PI) / (2 * size));
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term only encodes overall brightness
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  return coefficients.map(value => value > median ? 1 : 0);
+}
+
+function computeForegroundMask(pixels, size) {
+  // Average color of the outermost ring of pixels
+  const border = [0, 0, 0];
+  let borderCount = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (x !== 0 && y !== 0 && x !== size - 1 && y !== size - 1) continue;
+      const i = (y * size + x) * 4;
+      border[0] += pixels[i];
+      border[1] += pixels[i + 1];
+      border[2] += pixels[i + 2];
+      borderCount++;
+    }
+  }
+  border.forEach((value, channel) => { border[channel] = value / borderCount; });
+
+  const mask = new Uint8Array(size * size);
+  for (let i = 0; i < mask.length; i++) {
+    const dr = pixels[i * 4] - border[0];
+    const dg = pixels[i * 4 + 1] - border[1];
+    const db = pixels[i * 4 + 2] - border[2];
+    mask[i] = Math.sqrt(dr * dr + dg * dg + db * db) > IMAGE_FOREGROUND_THRESHOLD ? 1 : 0;
+  }
+  return mask;
+}
+
+// 4 levels per channel, normalized to sum to 1. Uses every pixel when the
+// foreground is too small to be trusted.
+function computeColorHistogram(pixels, foreground) {
+  const histogram = new Float32Array(64);
+  const foregroundCount = foreground.reduce((total, value) => total + value, 0);
+  const useMask = foregroundCount >= foreground.length * 0.05;
+
+  let counted = 0;
+  for (let i = 0; i < foreground.length; i++) {
+    if (useMask && !foreground[i]) continue;
+    const bin = (pixels[i * 4] >> 6) * 16 + (pixels[i * 4 + 1] >> 6) * 4 + (pixels[i * 4 + 2] >> 6);
+    histogram[bin]++;
+    counted++;
+  }
+
+  for (let bin = 0; bin < histogram.length; bin++) {
+    histogram[bin] /= counted || 1;
+  }
+  return histogram;
+}
+
+function computeSilhouette(foreground, size, imageAspect) {
+  let minX = size, minY = size, maxX = -1, maxY = -1;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!foreground[y * size + x]) continue;
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+  }
+
+  const grid = IMAGE_SILHOUETTE_SIZE;
+  const mask = new Uint8Array(grid * grid);
+  if (maxX < 0) {
+    return { mask: mask, aspect: 1 };
+  }
+
+  // Resample the bounding box onto a fixed grid (nearest neighbour)
+  const boxWidth = maxX - minX + 1;
+  const boxHeight = maxY - minY + 1;
+  for (let y = 0; y < grid; y++) {
+    for (let x = 0; x < grid; x++) {
+      const sourceX = minX + Math.floor((x + 0.5) * boxWidth / grid);
+      const sourceY = minY + Math.floor((y + 0.5) * boxHeight / grid);
+      mask[y * grid + x] = foreground[sourceY * size + sourceX];
+    }
+  }
+
+  // The thumbnail is square, so scale back to the photo's real proportions
+  return { mask: mask, aspect: (boxWidth / boxHeight) * imageAspect };
+}
+
+// ==============================================
+// COMPARISONS
+// ==============================================
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+function histogramIntersection(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.min(a[i], b[i]);
+  }
+  return total;
+}
+
+// Mask overlap (IoU) blended with how alike the proportions are
+function silhouetteSimilarity(a, b) {
+  let intersection = 0;
+  let union = 0;
+  for (let i = 0; i < a.mask.length; i++) {
+    if (a.mask[i] && b.mask[i]) intersection++;
+    if (a.mask[i] || b.mask[i]) union++;
+  }
+  const overlap = union ? intersection / union : 0;
+  const aspect = Math.min(a.aspect, b.aspect) / Math.max(a.aspect, b.aspect);
+  return overlap * 0.7 + aspect * 0.3;
+}
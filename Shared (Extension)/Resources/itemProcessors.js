@@ -49,12 +49,19 @@ function processAbercrombieItem(item, index) {
     color = parts.length > 1 ? parts[1].trim() : '';
   }
   
+  // Find product page link and variant
+  const productUrl = getProductUrl(item, nameEl);
+  const variantId = getVariantId(item, productUrl);
+  
   return {
     imageUrl,
     productName: productName || 'Product',
     price: price || '',
+    money: parseMoney(priceEl),
     size: size || '',
-    color: color || ''
+    color: color || '',
+    productUrl,
+    variantId
   };
 }
 
@@ -79,15 +86,18 @@ if (nameEl) {
 
 // Find price
 let price = '';
+let money = null;
 const priceEl = item.querySelector('[data-qa-item-total-price]');
 if (priceEl) {
   price = priceEl.textContent.trim();
+  money = parseMoney(priceEl);
   console.log(`Found price: ${price}`);
 } else {
   // Try alternative price selector
   const altPriceEl = item.querySelector('.c-pwa-item-price__unit');
   if (altPriceEl) {
     price = altPriceEl.textContent.trim().replace('Item Price', '');
+    money = parseMoney(altPriceEl);
     console.log(`Found price (alternative): ${price}`);
   }
 }
@@ -108,6 +118,10 @@ if (colorEl) {
   console.log(`Found color: ${color}`);
 }
 
+// Find product page link and variant
+const productUrl = getProductUrl(item, nameEl);
+const variantId = getVariantId(item, productUrl);
+
 // Find delete button
 const deleteButton = item.querySelector('button[aria-label^="Remove"]') ||
                      item.querySelector('button[data-qa-item-remove]');
@@ -120,8 +134,11 @@ return {
   imageUrl,
   productName: productName || 'Product',
   price: price || '',
+  money,
   size: size || '',
   color: color || '',
+  productUrl,
+  variantId,
   deleteButton // Include the delete button reference
 };
 }
@@ -189,16 +206,65 @@ function processOhPollyItem(item, index) {
     console.log(`Found price: ${price}`);
   }
   
+  // Find product page link and variant
+  const productUrl = getProductUrl(item, titleEl);
+  const variantId = getVariantId(item, productUrl);
+  
   return {
     imageUrl,
     strapline,
     productName: productName || 'Product',
     price: price || '',
+    money: parseMoney(priceEl),
     size: size || '',
-    color: color || ''
+    color: color || '',
+    productUrl,
+    variantId
   };
 }
 
+// Generic processor driven purely by the site's itemSelectors, used by sites
+// without a dedicated processor
+function processGenericItem(item, index) {
+  console.log(`Processing ${currentSiteConfig.name} item ${index} with generic selectors`);
+  
+  const price = getTextFromSelectors('price', item) || '';
+  const productUrl = getProductUrl(item, null);
+  return {
+    imageUrl: getImageUrl(item),
+    productName: getTextFromSelectors('name', item) || 'Product',
+    price,
+    money: parseMoney(price),
+    size: getTextFromSelectors('size', item) || '',
+    color: getTextFromSelectors('color', item) || '',
+    productUrl,
+    variantId: getVariantId(item, productUrl),
+    deleteButton: extendedQueryFirstMatch(item, currentSiteConfig.itemSelectors.deleteButton || []).elements[0] || null
+  };
+}
+
+// Absolute product page URL for a cart line: the link around or inside the
+// name element when there is one, else the first link on the line that is
+// not a cart control
+function getProductUrl(item, nameEl) {
+  const isProductLink = link => Boolean(link) && item.contains(link) &&
+    !/\/cart\b|remove|quantity=/i.test(link.getAttribute('href'));
+  const nameLink = nameEl && (nameEl.closest('a[href]') || nameEl.querySelector('a[href]'));
+  const link = isProductLink(nameLink) ? nameLink : Array.from(item.querySelectorAll('a[href]')).find(isProductLink);
+  return link ? link.href : '';
+}
+
+// Variant ID from the product link (?variant=, as Shopify themes write it)
+// or from a data attribute on the line
+function getVariantId(item, productUrl) {
+  if (productUrl) {
+    const variant = new URL(productUrl, window.location.origin).searchParams.get('variant');
+    if (variant) return variant;
+  }
+  const holder = item.matches('[data-variant-id]') ? item : item.querySelector('[data-variant-id]');
+  return holder ? holder.getAttribute('data-variant-id') : '';
+}
+
 // Helper function to try multiple selectors with special handling for Abercrombie
 function getTextFromSelectors(selectorType, item) {
   const selectors = currentSiteConfig.itemSelectors[selectorType];
@@ -220,7 +286,7 @@ function getTextFromSelectors(selectorType, item) {
     
     // First, try direct selectors
     for (const selector of selectors) {
-      const elements = item.querySelectorAll(selector);
+      const elements = extendedQueryAll(item, selector);
       for (let i = 0; i < elements.length; i++) {
         if (elements[i] && elements[i].textContent) {
           return elements[i].textContent.trim();
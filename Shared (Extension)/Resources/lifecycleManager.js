@@ -0,0 +1,93 @@
+//
+//  lifecycleManager.js
+//  SkipTheCart
+//
+
+/**
+ * Lifecycle manager
+ * =================
+ *
+ * Owns the observers, intervals, timeouts and animation frames the content
+ * script creates, so none of them outlive the page or panel they were made
+ * for. Each one is registered in a scope and disposed of with it:
+ *   - PAGE_SCOPE:  lives as long as the document; for what has to survive
+ *                  route changes (the navigation watcher, the undo toast)
+ *   - ROUTE_SCOPE: torn down on every route change (handleURLChange)
+ *   - PANEL_SCOPE: cart observers and pending re-extraction, torn down when
+ *                  the cart panel is hidden or closed
+ */
+
+const PAGE_SCOPE = 'page';
+const ROUTE_SCOPE = 'route';
+const PANEL_SCOPE = 'panel';
+
+// scope → Set of { active, dispose }
+const lifecycleScopes = {};
+
+function trackDisposable(scope, dispose) {
+  const entry = {
+    active: true,
+    dispose: function() {
+      if (!entry.active) return;
+      entry.active = false;
+      lifecycleScopes[scope].delete(entry);
+      dispose();
+    }
+  };
+  lifecycleScopes[scope] = lifecycleScopes[scope] || new Set();
+  lifecycleScopes[scope].add(entry);
+  return entry;
+}
+
+// Like setTimeout; the entry is released once the callback has run
+function trackedTimeout(scope, callback, delay) {
+  let entry = null;
+  const id = setTimeout(() => {
+    entry.dispose();
+    callback();
+  }, delay);
+  entry = trackDisposable(scope, () => clearTimeout(id));
+  return entry;
+}
+
+function trackedInterval(scope, callback, interval) {
+  const id = setInterval(callback, interval);
+  return trackDisposable(scope, () => clearInterval(id));
+}
+
+function trackedAnimationFrame(scope, callback) {
+  let entry = null;
+  const id = requestAnimationFrame(() => {
+    entry.dispose();
+    callback();
+  });
+  entry = trackDisposable(scope, () => cancelAnimationFrame(id));
+  return entry;
+}
+
+// A MutationObserver that is disconnected with its scope
+function trackedObserver(scope, callback) {
+  const observer = new MutationObserver(callback);
+  trackDisposable(scope, () => observer.disconnect());
+  return observer;
+}
+
+/**
+ * A function that runs `callback` on the next animation frame, however often
+ * it is called before then. The pending frame belongs to `scope`.
+ */
+function throttleToAnimationFrame(scope, callback) {
+  let pending = null;
+  return function() {
+    if (pending && pending.active) return;
+    pending = trackedAnimationFrame(scope, callback);
+  };
+}
+
+function teardownScope(scope) {
+  const entries = Array.from(lifecycleScopes[scope] || []);
+  if (entries.length === 0) return;
+
+  entries.forEach(entry => entry.dispose());
+  console.log(`Cart Image Extractor: Tore down ${entries.length} ${scope} observer(s) and timer(s)`);
+}
@@ -0,0 +1,204 @@
+//
+//  maybeLater.js
+//  SkipTheCart
+//
+
+/**
+ * Maybe later
+ * ===========
+ *
+ * Items taken out of the cart with "Maybe later" are kept in
+ * browser.storage.local (`stc:maybeLater`) instead of being lost: product
+ * URL, image, structured price, size, color and retailer, plus when they
+ * were saved and when their product page was last reopened.
+ *
+ * The panel and the popup both show the list. Each entry says how long it
+ * has waited; entries untouched (neither saved nor reopened) for
+ * MAYBE_LATER_STALE_MS are flagged with a suggestion to delete them.
+ *
+ * Loaded by the content scripts and by popup.html; only saveMaybeLaterItem
+ * depends on the current site.
+ */
+
+const MAYBE_LATER_KEY = 'stc:maybeLater';
+
+const MAYBE_LATER_STALE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const MAYBE_LATER_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @returns {Promise<Object[]>} entries, newest first:
+ *          { key, productName, productUrl, imageUrl, price, money, size, color,
+ *            retailer, retailerName, savedAt, openedAt }
+ */
+function loadMaybeLater() {
+  return browser.storage.local.get(MAYBE_LATER_KEY)
+    .then(result => result[MAYBE_LATER_KEY] || [])
+    .catch(error => {
+      console.error("Cart Image Extractor: Failed to load Maybe later list:", error);
+      return [];
+    });
+}
+
+function saveMaybeLater(entries) {
+  return browser.storage.local.set({ [MAYBE_LATER_KEY]: entries }).then(() => entries);
+}
+
+// Apply `change(entries)` to the stored list and resolve with the result
+function updateMaybeLater(change) {
+  return loadMaybeLater().then(entries => saveMaybeLater(change(entries)));
+}
+
+function removeMaybeLaterEntries(keys) {
+  return updateMaybeLater(entries => entries.filter(entry => !keys.includes(entry.key)));
+}
+
+// Record that the product page was reopened, which resets the stale clock
+function touchMaybeLaterEntry(key) {
+  return updateMaybeLater(entries => entries.map(entry =>
+    entry.key === key ? Object.assign({}, entry, { openedAt: Date.now() }) : entry
+  ));
+}
+
+function isMaybeLaterStale(entry, now) {
+  return (now || Date.now()) - Math.max(entry.savedAt, entry.openedAt || 0) >= MAYBE_LATER_STALE_MS;
+}
+
+// "today", "1 day", "12 days"
+function formatWaitingTime(since, now) {
+  const days = Math.floor(((now || Date.now()) - since) / MAYBE_LATER_DAY_MS);
+  if (days < 1) return 'today';
+  return days === 1 ? '1 day' : `${days} days`;
+}
+
+// ==============================================
+// SAVING (content scripts)
+// ==============================================
+
+// Add a cart item to the list, replacing an earlier save of the same variant
+function saveMaybeLaterItem(cartItem) {
+  const entry = {
+    key: savingsLedgerKey(cartItem),
+    productName: cartItem.productName || 'Product',
+    productUrl: cartItem.productUrl || window.location.origin,
+    imageUrl: cartItem.imageUrl || '',
+    price: cartItem.price || '',
+    money: cartItem.money || parseMoney(cartItem.price),
+    size: cartItem.size || '',
+    color: cartItem.color || '',
+    retailer: currentSiteConfig.key,
+    retailerName: currentSiteConfig.name,
+    savedAt: Date.now(),
+    openedAt: null
+  };
+
+  return updateMaybeLater(entries => [entry].concat(entries.filter(existing => existing.key !== entry.key)))
+    .catch(error => {
+      console.error("Cart Image Extractor: Failed to save item for later:", error);
+      return loadMaybeLater();
+    });
+}
+
+// ==============================================
+// LIST VIEW (panel and popup)
+// ==============================================
+
+/**
+ * The list with an open and a delete button per entry, and a button to
+ * delete every stale entry at once.
+ *
+ * @param {Object[]} entries
+ * @param {{onOpen: function(Object), onDelete: function(string[])}} handlers
+ *        onDelete receives the keys of the entries to delete
+ */
+function createMaybeLaterList(entries, handlers) {
+  const now = Date.now();
+  const container = document.createElement('div');
+  container.className = 'maybe-later';
+
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'maybe-later-empty';
+    empty.textContent = 'Nothing saved for later.';
+    container.appendChild(empty);
+    return container;
+  }
+
+  const stale = entries.filter(entry => isMaybeLaterStale(entry, now));
+  if (stale.length > 0) {
+    const suggestion = document.createElement('div');
+    suggestion.className = 'maybe-later-suggestion';
+    suggestion.textContent = stale.length === 1
+      ? '1 item has waited over 30 days. Still want it? '
+      : `${stale.length} items have waited over 30 days. Still want them? `;
+    const clearButton = document.createElement('button');
+    clearButton.className = 'maybe-later-clear';
+    clearButton.textContent = stale.length === 1 ? 'Delete it' : 'Delete them';
+    clearButton.addEventListener('click', function() {
+      handlers.onDelete(stale.map(entry => entry.key));
+    });
+    suggestion.appendChild(clearButton);
+    container.appendChild(suggestion);
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'maybe-later-list';
+  entries.forEach(entry => {
+    const row = document.createElement('li');
+    row.className = 'maybe-later-item';
+    if (isMaybeLaterStale(entry, now)) {
+      row.classList.add('maybe-later-stale');
+    }
+
+    if (entry.imageUrl) {
+      const image = document.createElement('img');
+      image.className = 'maybe-later-image';
+      image.src = entry.imageUrl;
+      image.alt = entry.productName;
+      row.appendChild(image);
+    }
+
+    const details = document.createElement('div');
+    details.className = 'maybe-later-details';
+    const name = document.createElement('div');
+    name.className = 'maybe-later-name';
+    name.textContent = entry.productName;
+    const specs = document.createElement('div');
+    specs.className = 'maybe-later-specs';
+    specs.textContent = [entry.money ? entry.money.display : entry.price, entry.size, entry.color, entry.retailerName || entry.retailer]
+      .filter(Boolean)
+      .join(' · ');
+    const waited = document.createElement('div');
+    waited.className = 'maybe-later-waited';
+    waited.textContent = isMaybeLaterStale(entry, now)
+      ? `Untouched for ${formatWaitingTime(Math.max(entry.savedAt, entry.openedAt || 0), now)}`
+      : `Waiting ${formatWaitingTime(entry.savedAt, now)}`;
+    details.appendChild(name);
+    details.appendChild(specs);
+    details.appendChild(waited);
+    row.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'maybe-later-actions';
+    const openButton = document.createElement('button');
+    openButton.className = 'maybe-later-open';
+    openButton.textContent = 'Open';
+    openButton.addEventListener('click', function() {
+      handlers.onOpen(entry);
+    });
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'maybe-later-delete';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', function() {
+      handlers.onDelete([entry.key]);
+    });
+    actions.appendChild(openButton);
+    actions.appendChild(deleteButton);
+    row.appendChild(actions);
+
+    list.appendChild(row);
+  });
+  container.appendChild(list);
+
+  return container;
+}
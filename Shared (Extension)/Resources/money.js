@@ -0,0 +1,275 @@
+//
+//  money.js
+//  SkipTheCart
+//
+
+/**
+ * Money parsing
+ * =============
+ *
+ * Turns the price on a cart line into a structured value:
+ *
+ *   {
+ *     amount,         // what the shopper pays now (the low end of a range)
+ *     currency,       // ISO 4217 code, or null when the text has no marker
+ *     originalPrice,  // struck-through list price, null when not on sale
+ *     salePrice,      // current price when there is an original price
+ *     isFree,         // "Free", or an amount of 0
+ *     range,          // { min, max } for "$20 - $30", else null
+ *     display         // the amount formatted for the panel
+ *   }
+ *
+ * Both "1,234.56" and "1.234,56" are understood: when both separators appear
+ * the last one is the decimal point, and a lone separator followed by exactly
+ * three digits groups thousands. Spaces never group thousands, so "Qty 2 300"
+ * is two numbers.
+ *
+ * Cart lines carry other numbers (quantities, sizes, "2 for $30"), so amounts
+ * written next to a currency symbol or code are preferred; bare numbers are
+ * only read as prices when the text has no such amount.
+ *
+ * parseMoney accepts an element as well as a string. Struck-through prices
+ * (<s>, <del>, compare-at/original price classes, line-through styles) inside
+ * the element or next to it in its parent become the original price, and the
+ * rest of the text is the sale price. In plain text, two different amounts
+ * that are not a range are read as "was ... now ...".
+ */
+
+// Longest markers first, so "CA$" wins over "$"
+const MONEY_CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'],
+  ['NZ$', 'NZD'], ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'], ['MX$', 'MXN'],
+  ['zł', 'PLN'], ['kr', 'SEK'], ['Fr.', 'CHF'],
+  ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'],
+  ['₩', 'KRW'], ['₺', 'TRY'], ['₪', 'ILS'], ['₱', 'PHP'], ['₫', 'VND']
+];
+
+const MONEY_CURRENCY_CODES = [
+  'USD', 'CAD', 'AUD', 'NZD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'KRW', 'CHF',
+  'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HKD', 'SGD', 'MXN', 'BRL', 'AED', 'SAR',
+  'ZAR', 'TRY', 'ILS', 'PHP', 'VND'
+];
+
+const MONEY_CURRENCY_MARKERS = MONEY_CURRENCY_SYMBOLS.map(([marker]) => marker).concat(MONEY_CURRENCY_CODES);
+
+const MONEY_FREE_PATTERN = /\b(free|gratis|gratuit|kostenlos)\b/i;
+
+// A number with optional thousands groups and decimals: 1,234.56  1.234,56  1'234.50
+const MONEY_NUMBER_PATTERN = /\d{1,3}(?:[.,']\d{3})+(?:[.,]\d{1,2})?(?!\d)|\d+(?:[.,]\d{1,2})?(?!\d)/g;
+
+// Between two amounts of a range: "$20 - $30", "$20–$30", "$20 to $30"
+const MONEY_RANGE_SEPARATOR = /^\s*(?:-|–|—|to|bis|à)\s*$/i;
+
+const MONEY_STRIKE_THROUGH_SELECTOR = [
+  's', 'del', 'strike',
+  '[class*="compare" i]', '[class*="original" i]', '[class*="was-price" i]',
+  '[class*="strike" i]', '[style*="line-through"]'
+].join(', ');
+
+/**
+ * Parse a price string or element.
+ *
+ * @param {string|Element} source
+ * @param {{currency: string}} [options] currency to assume when the text has none
+ * @returns {?Object} structured money value, null when there is no price
+ */
+function parseMoney(source, options) {
+  try {
+    if (!source) return null;
+    const fallbackCurrency = (options && options.currency) || null;
+
+    if (typeof source !== 'string') {
+      return parseMoneyElement(source, fallbackCurrency);
+    }
+
+    return parseMoneyText(source, fallbackCurrency);
+  } catch (error) {
+    console.error("Error in parseMoney:", error);
+    return null;
+  }
+}
+
+function parseMoneyText(text, fallbackCurrency) {
+  const currency = detectCurrency(text) || fallbackCurrency;
+  const amounts = preferMarkedAmounts(findMoneyAmounts(text));
+
+  if (amounts.length === 0) {
+    return MONEY_FREE_PATTERN.test(text) ? buildMoney(0, currency) : null;
+  }
+
+  if (amounts.length >= 2) {
+    const between = text.slice(amounts[0].end, amounts[1].start).replace(/[^\s\w–—-]/g, '');
+    if (MONEY_RANGE_SEPARATOR.test(between)) {
+      return buildMoney(amounts[0].value, currency, {
+        range: { min: Math.min(amounts[0].value, amounts[1].value), max: Math.max(amounts[0].value, amounts[1].value) }
+      });
+    }
+
+    // "Was $80 Now $56" and "$80.00 $56.00" both list the higher price first
+    if (amounts[0].value > amounts[1].value) {
+      return buildMoney(amounts[1].value, currency, { originalPrice: amounts[0].value });
+    }
+  }
+
+  return buildMoney(amounts[0].value, currency);
+}
+
+function parseMoneyElement(element, fallbackCurrency) {
+  const struck = findStrikeThroughPrice(element);
+  if (!struck) {
+    return parseMoneyText(element.textContent || '', fallbackCurrency);
+  }
+
+  // Read the current price from the element without the struck-through part
+  let currentText = element.textContent || '';
+  if (element.contains(struck)) {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll(MONEY_STRIKE_THROUGH_SELECTOR).forEach(node => node.remove());
+    currentText = copy.textContent || '';
+  }
+
+  const original = parseMoneyText(struck.textContent || '', fallbackCurrency);
+  const current = parseMoneyText(currentText, original ? original.currency : fallbackCurrency);
+  if (!current) return original;
+  if (!original || original.amount <= current.amount) return current;
+
+  return buildMoney(current.amount, current.currency || original.currency, {
+    originalPrice: original.amount,
+    range: current.range
+  });
+}
+
+// A struck-through price inside the element, or beside it in the same parent
+function findStrikeThroughPrice(element) {
+  if (!element.querySelector) return null;
+
+  const inside = element.querySelector(MONEY_STRIKE_THROUGH_SELECTOR);
+  if (inside && findMoneyAmounts(inside.textContent || '').length > 0) return inside;
+
+  const parent = element.parentElement;
+  if (!parent) return null;
+  const beside = Array.from(parent.querySelectorAll(MONEY_STRIKE_THROUGH_SELECTOR))
+    .find(node => node !== element && !node.contains(element) && findMoneyAmounts(node.textContent || '').length > 0);
+  return beside || null;
+}
+
+function buildMoney(amount, currency, extra) {
+  const details = extra || {};
+  const originalPrice = typeof details.originalPrice === 'number' ? details.originalPrice : null;
+  const range = details.range || null;
+
+  return {
+    amount: amount,
+    currency: currency || null,
+    originalPrice: originalPrice,
+    salePrice: originalPrice !== null ? amount : null,
+    isFree: amount === 0 && !range,
+    range: range,
+    display: amount === 0 && !range ? 'Free'
+      : range ? `${formatMoney(range.min, currency)} – ${formatMoney(range.max, currency)}`
+      : formatMoney(amount, currency)
+  };
+}
+
+// ==============================================
+// NUMBERS AND CURRENCIES
+// ==============================================
+
+// Every amount in the text with its position, as
+// { value, start, end, markedBefore, markedAfter }
+function findMoneyAmounts(text) {
+  const amounts = [];
+  const pattern = new RegExp(MONEY_NUMBER_PATTERN.source, 'g');
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const value = normalizeMoneyNumber(match[0]);
+    if (value !== null) {
+      const end = match.index + match[0].length;
+      amounts.push({
+        value: value,
+        start: match.index,
+        end: end,
+        markedBefore: currencyMarkerBefore(text.slice(0, match.index)),
+        markedAfter: currencyMarkerAfter(text.slice(end))
+      });
+    }
+  }
+  return amounts;
+}
+
+// Amounts written with a currency marker, else all of them. A text writes
+// its marker on one side of its amounts, so a marker between two numbers
+// ("Qty 2 $49.99") goes with the side that marks more amounts, the
+// marker-first side on a tie.
+function preferMarkedAmounts(amounts) {
+  const before = amounts.filter(amount => amount.markedBefore);
+  const after = amounts.filter(amount => amount.markedAfter);
+  const marked = after.length > before.length ? after : before;
+  return marked.length > 0 ? marked : amounts;
+}
+
+// Whether the text before an amount ends with a currency marker ("$", "EUR ").
+// A marker made of letters must be a word of its own ("kr", not "Mark").
+function currencyMarkerBefore(textBefore) {
+  const before = textBefore.replace(/\s+$/, '').toUpperCase();
+  return MONEY_CURRENCY_MARKERS.some(marker => {
+    const upper = marker.toUpperCase();
+    return before.endsWith(upper) &&
+      !(/^[A-Z]/.test(upper) && /[A-Z]$/.test(before.slice(0, before.length - upper.length)));
+  });
+}
+
+// Whether the text after an amount starts with a currency marker (" €", "USD")
+function currencyMarkerAfter(textAfter) {
+  const after = textAfter.replace(/^\s+/, '').toUpperCase();
+  return MONEY_CURRENCY_MARKERS.some(marker => {
+    const upper = marker.toUpperCase();
+    return after.startsWith(upper) && !/^[A-Z]/.test(after.slice(upper.length));
+  });
+}
+
+function normalizeMoneyNumber(raw) {
+  const digits = raw.replace(/'/g, '');
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+
+  let decimalIndex = -1;
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimalIndex = Math.max(lastDot, lastComma);
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const index = Math.max(lastDot, lastComma);
+    const repeated = digits.indexOf(separator) !== index;
+    // "1.234" and "1,234" group thousands; "49,90" and "12.5" have decimals
+    if (!repeated && digits.length - index - 1 !== 3) {
+      decimalIndex = index;
+    }
+  }
+
+  const normalized = decimalIndex === -1
+    ? digits.replace(/[.,]/g, '')
+    : digits.slice(0, decimalIndex).replace(/[.,]/g, '') + '.' + digits.slice(decimalIndex + 1);
+
+  const value = parseFloat(normalized);
+  return isFinite(value) ? value : null;
+}
+
+function detectCurrency(text) {
+  const code = text.match(new RegExp(`\\b(${MONEY_CURRENCY_CODES.join('|')})\\b`));
+  if (code) return code[1];
+
+  const symbol = MONEY_CURRENCY_SYMBOLS.find(([marker]) =>
+    /^[a-z]/i.test(marker) ? new RegExp(`(^|[\\s\\d])${marker.replace(/[.$]/g, '\\$&')}(?![a-z])`, 'i').test(text) : text.includes(marker)
+  );
+  return symbol ? symbol[1] : null;
+}
+
+function formatMoney(amount, currency) {
+  if (typeof amount !== 'number' || !isFinite(amount)) return '';
+  if (!currency) return amount.toFixed(2);
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency }).format(amount);
+  } catch (error) {
+    return amount.toFixed(2);
+  }
+}
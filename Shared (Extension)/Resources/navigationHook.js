@@ -0,0 +1,31 @@
+//
+//  navigationHook.js
+//  SkipTheCart
+//
+
+/**
+ * History hook (page world)
+ * =========================
+ *
+ * Not a content script: navigationWatcher.js injects this file as a <script>
+ * element so it runs in the page's own JavaScript world, where the site's
+ * router calls history.pushState and history.replaceState. Wrapping them
+ * from the content script's isolated world would never see those calls.
+ *
+ * After each call it dispatches a "stc:historychange" event on window, with
+ * the method name as `detail`, for the content script to hear.
+ */
+
+(function() {
+  if (window.__stcHistoryHookInstalled) return;
+  window.__stcHistoryHookInstalled = true;
+
+  ['pushState', 'replaceState'].forEach(function(method) {
+    const original = history[method];
+    history[method] = function() {
+      const result = original.apply(this, arguments);
+      window.dispatchEvent(new CustomEvent('stc:historychange', { detail: method }));
+      return result;
+    };
+  });
+})();
@@ -0,0 +1,97 @@
+//
+//  navigationWatcher.js
+//  SkipTheCart
+//
+
+/**
+ * Navigation watcher
+ * ==================
+ *
+ * One source of "route changed" events for SPA navigation, instead of
+ * polling location.href:
+ *   - where the Navigation API exists, `currententrychange` covers
+ *     pushState, replaceState, back/forward and hash changes
+ *   - elsewhere popstate and hashchange are listened to, and
+ *     navigationHook.js is injected into the page's own world, where the
+ *     site's router calls pushState/replaceState, to report those calls
+ *     with a HISTORY_HOOK_EVENT
+ *
+ * A single navigation often raises several of these signals, so they are
+ * debounced by NAVIGATION_DEBOUNCE_MS and listeners only hear about it when
+ * the URL actually differs from the last one reported.
+ */
+
+const NAVIGATION_DEBOUNCE_MS = 50;
+
+// Dispatched on window by navigationHook.js
+const HISTORY_HOOK_EVENT = 'stc:historychange';
+
+const routeChangeListeners = [];
+
+let navigationWatcherStarted = false;
+let lastRouteURL = null;
+let pendingRouteCheck = null;
+
+/**
+ * Call `listener({ url, previousURL, signal })` after each route change.
+ *
+ * @returns {function} removes the listener
+ */
+function onRouteChange(listener) {
+  routeChangeListeners.push(listener);
+  return function() {
+    const index = routeChangeListeners.indexOf(listener);
+    if (index !== -1) routeChangeListeners.splice(index, 1);
+  };
+}
+
+function startNavigationWatcher() {
+  if (navigationWatcherStarted) return;
+  navigationWatcherStarted = true;
+  lastRouteURL = location.href;
+
+  if (window.navigation && typeof window.navigation.addEventListener === 'function') {
+    window.navigation.addEventListener('currententrychange', () => scheduleRouteCheck('navigation'));
+    console.log("Cart Image Extractor: Watching navigation with the Navigation API");
+    return;
+  }
+
+  window.addEventListener('popstate', () => scheduleRouteCheck('popstate'));
+  window.addEventListener('hashchange', () => scheduleRouteCheck('hashchange'));
+  window.addEventListener(HISTORY_HOOK_EVENT, event => scheduleRouteCheck(event.detail || 'history'));
+  injectHistoryHook();
+  console.log("Cart Image Extractor: Watching navigation with the page history hook");
+}
+
+// Run navigationHook.js in the page's world (listed in web_accessible_resources)
+function injectHistoryHook() {
+  const script = document.createElement('script');
+  script.src = browser.runtime.getURL('navigationHook.js');
+  script.onload = () => script.remove();
+  script.onerror = () => {
+    console.error("Cart Image Extractor: Could not inject the history hook; only back/forward and hash changes are seen");
+    script.remove();
+  };
+  (document.head || document.documentElement).appendChild(script);
+}
+
+// Coalesce the signals of one navigation into at most one event
+function scheduleRouteCheck(signal) {
+  if (pendingRouteCheck) pendingRouteCheck.dispose();
+  // PAGE_SCOPE: handleURLChange tears down ROUTE_SCOPE while this runs
+  pendingRouteCheck = trackedTimeout(PAGE_SCOPE, () => {
+    pendingRouteCheck = null;
+    const url = location.href;
+    if (url === lastRouteURL) return;
+
+    const change = { url: url, previousURL: lastRouteURL, signal: signal };
+    lastRouteURL = url;
+    routeChangeListeners.slice().forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error("Error in route change listener:", error);
+      }
+    });
+  }, NAVIGATION_DEBOUNCE_MS);
+}
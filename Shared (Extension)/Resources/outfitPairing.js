@@ -0,0 +1,177 @@
+//
+//  outfitPairing.js
+//  SkipTheCart
+//
+
+/**
+ * Outfit pairing
+ * ==============
+ *
+ * Suggests wardrobe pieces that complete an outfit with a cart item, so the
+ * panel can give a reason to keep an item and not only reasons to skip it.
+ *
+ * OUTFIT_PAIRING_RULES lists, per wardrobe category, the categories that
+ * complete an outfit with it (`completes`) and those that layer over or
+ * finish it (`layers`). Wardrobe items are matched by wardrobeCategoryKey, so
+ * "Left Shoes" and "Right Shoes" both count as "Shoes". A suggestion must also pass the color-harmony rules:
+ * neutrals go with anything, blue bottoms count as neutral (denim), and other
+ * colors pair when they are the same family, analogous or complementary hues.
+ */
+
+const OUTFIT_PAIRING_RULES = {
+  Tops: { completes: ['Bottoms', 'Skirts'], layers: ['Coats'] },
+  Bottoms: { completes: ['Tops'], layers: ['Coats'] },
+  Skirts: { completes: ['Tops'], layers: ['Shoes', 'Coats'] },
+  Dresses: { completes: [], layers: ['Coats', 'Shoes'] },
+  Coats: { completes: [], layers: ['Dresses', 'Tops', 'Bottoms', 'Skirts'] }
+};
+
+const NEUTRAL_COLOR_FAMILIES = ['white', 'black', 'gray', 'brown'];
+
+// Harmony scores by relationship; pairs scoring 0 are not suggested
+const COLOR_HARMONY_SCORES = {
+  neutral: 1,
+  monochrome: 0.9,
+  analogous: 0.8,
+  complementary: 0.7,
+  unknown: 0.5,
+  clash: 0
+};
+
+const MAX_PAIRING_SUGGESTIONS = 6;
+
+/**
+ * Wardrobe pieces that go with a cart item, best first, and the number of
+ * complete outfits buying it would unlock.
+ *
+ * @returns {{items: Object[], outfitCount: number}}
+ */
+function findOutfitPairings(cartItem, wardrobeItems) {
+  try {
+    const rules = OUTFIT_PAIRING_RULES[cartItem.category];
+    if (!rules) return { items: [], outfitCount: 0 };
+
+    const cartColor = describePairingColor(cartItem.category, normalizeColor(cartItem.color));
+    const harmonious = (item) => colorHarmonyScore(
+      cartColor,
+      describePairingColor(item.categoryName, labelToPairingColor(item.colorLabel))
+    ) > 0;
+
+    const completing = wardrobeItems.filter(item => rules.completes.includes(wardrobeCategoryKey(item.categoryName)) && harmonious(item));
+    const layering = wardrobeItems.filter(item => rules.layers.includes(wardrobeCategoryKey(item.categoryName)) && harmonious(item));
+
+    const suggestions = completing.concat(layering)
+      .map(item => ({
+        item: item,
+        role: completing.includes(item) ? 'completes' : 'layers',
+        harmony: colorHarmonyScore(cartColor, describePairingColor(item.categoryName, labelToPairingColor(item.colorLabel)))
+      }))
+      .sort((a, b) => (a.role === b.role ? 0 : a.role === 'completes' ? -1 : 1) || b.harmony - a.harmony)
+      .slice(0, MAX_PAIRING_SUGGESTIONS);
+
+    return { items: suggestions, outfitCount: countUnlockedOutfits(cartItem.category, completing, layering) };
+  } catch (error) {
+    console.error("Error in findOutfitPairings:", error);
+    return { items: [], outfitCount: 0 };
+  }
+}
+
+// A top or bottom unlocks one outfit per harmonious counterpart; a dress is an
+// outfit on its own and one more per coat; a coat finishes every top and
+// bottom combination (and dress) that matches its color. Nothing to pair
+// with unlocks nothing.
+function countUnlockedOutfits(category, completing, layering) {
+  if (completing.length === 0 && layering.length === 0) return 0;
+
+  if (category === 'Dresses') {
+    return 1 + layering.filter(item => item.categoryName === 'Coats').length;
+  }
+
+  if (category === 'Coats') {
+    const tops = layering.filter(item => item.categoryName === 'Tops');
+    const bottoms = layering.filter(item => item.categoryName === 'Bottoms' || item.categoryName === 'Skirts');
+    const dresses = layering.filter(item => item.categoryName === 'Dresses');
+    return tops.length * bottoms.length + dresses.length;
+  }
+
+  return completing.length;
+}
+
+// ==============================================
+// COLOR HARMONY
+// ==============================================
+
+// Normalize both sides to { family, hex, neutral }, or null when unknown
+function describePairingColor(category, color) {
+  if (!color) return null;
+  const neutral = NEUTRAL_COLOR_FAMILIES.includes(color.family) ||
+    (color.family === 'blue' && (category === 'Bottoms' || category === 'Skirts'));
+  return { family: color.family, hex: color.hex, neutral: neutral };
+}
+
+function labelToPairingColor(colorLabel) {
+  const hex = colorLabelToHex(colorLabel);
+  return hex ? { family: String(colorLabel).toLowerCase(), hex: hex } : null;
+}
+
+function colorHarmonyScore(a, b) {
+  if (!a || !b) return COLOR_HARMONY_SCORES.unknown;
+  if (a.neutral || b.neutral) return COLOR_HARMONY_SCORES.neutral;
+  if (a.family === b.family) return COLOR_HARMONY_SCORES.monochrome;
+
+  const difference = hueDifference(a.hex, b.hex);
+  if (difference <= 45) return COLOR_HARMONY_SCORES.analogous;
+  if (difference >= 150) return COLOR_HARMONY_SCORES.complementary;
+  return COLOR_HARMONY_SCORES.clash;
+}
+
+// Angle between two colors' LCh hues, 0-180
+function hueDifference(hexA, hexB) {
+  const hue = (hex) => {
+    const lab = rgbToLab(hexToRgb(hex));
+    return (Math.atan2(lab[2], lab[1]) * 180 / Math.PI + 360) % 360;
+  };
+  const difference = Math.abs(hue(hexA) - hue(hexB));
+  return difference > 180 ? 360 - difference : difference;
+}
+
+function createGoesWithSection(cartItem) {
+  const pairings = cartItem.pairings || { items: [], outfitCount: 0 };
+
+  const section = document.createElement('div');
+  section.className = 'goes-with-section';
+
+  const title = document.createElement('div');
+  title.className = 'section-title';
+  title.textContent = 'Goes With';
+  section.appendChild(title);
+
+  if (pairings.items.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'goes-with-summary';
+    empty.textContent = 'Nothing in your wardrobe pairs with this yet.';
+    section.appendChild(empty);
+    return section;
+  }
+
+  const summary = document.createElement('div');
+  summary.className = 'goes-with-summary';
+  summary.textContent = pairings.outfitCount === 1
+    ? 'Unlocks 1 complete outfit with what you already own.'
+    : `Unlocks ${pairings.outfitCount} complete outfits with what you already own.`;
+  section.appendChild(summary);
+
+  const list = document.createElement('div');
+  list.className = 'goes-with-items';
+  pairings.items.forEach(suggestion => {
+    const thumb = document.createElement('img');
+    thumb.className = 'goes-with-thumb';
+    thumb.src = suggestion.item.image ? `data:image/jpeg;base64,${suggestion.item.image}` : '/api/placeholder/200/250';
+    thumb.alt = `${suggestion.item.colorLabel || ''} ${suggestion.item.categoryName || ''}`.trim();
+    thumb.title = thumb.alt;
+    list.appendChild(thumb);
+  });
+  section.appendChild(list);
+
+  return section;
+}
@@ -0,0 +1,117 @@
+//
+//  popup.js
+//  SkipTheCart
+//
+
+/**
+ * Toolbar popup: this month's savings from items skipped through the panel,
+ * the most recent of them, the Maybe later list, and the settings in
+ * extensionSettings.js (the monthly budget is set from the panel instead).
+ */
+
+const POPUP_RECENT_SKIPS = 5;
+
+// Settings form inputs: element id, settings key, and how to read the input
+// (null keeps the stored value)
+const POPUP_SETTING_FIELDS = [
+  { id: 'setting-cooling-off', key: 'coolingOffMinutes', read: input => clampSetting(Math.round(input.valueAsNumber), 0, 120) },
+  { id: 'setting-similarity', key: 'similarityThreshold', read: input => clampSetting(input.valueAsNumber, 0, 1) },
+  { id: 'setting-duplicate-min', key: 'duplicateWarningMinItems', read: input => clampSetting(Math.round(input.valueAsNumber), 1, 20) },
+  { id: 'setting-duplicate-tone', key: 'duplicateWarningTone', read: input => input.value === 'firm' ? 'firm' : 'gentle' }
+];
+
+function renderSavingsPopup(entries) {
+  const monthly = summarizeMonthlySavings(entries);
+
+  document.getElementById('savings-figure').textContent = monthly.count > 0
+    ? `You've skipped ${formatSavingsTotals(monthly.totals)} this month`
+    : 'Nothing skipped yet this month';
+  document.getElementById('savings-caption').textContent = monthly.count === 1
+    ? '1 item left in the cart'
+    : `${monthly.count} items left in the cart`;
+
+  const list = document.getElementById('skipped-list');
+  list.innerHTML = '';
+  entries
+    .filter(entry => !entry.readdedAt)
+    .slice(-POPUP_RECENT_SKIPS)
+    .reverse()
+    .forEach(entry => {
+      const row = document.createElement('li');
+      row.className = 'skipped-item';
+
+      const details = document.createElement('div');
+      const name = document.createElement('div');
+      name.textContent = entry.productName;
+      const retailer = document.createElement('div');
+      retailer.className = 'skipped-item-retailer';
+      retailer.textContent = `${entry.retailerName || entry.retailer} · ${new Date(entry.removedAt).toLocaleDateString()}`;
+      details.appendChild(name);
+      details.appendChild(retailer);
+
+      const price = document.createElement('div');
+      price.className = 'skipped-item-price';
+      price.textContent = entry.amount ? formatMoney(entry.amount, entry.currency) : entry.price;
+
+      row.appendChild(details);
+      row.appendChild(price);
+      list.appendChild(row);
+    });
+}
+
+// Product pages open in a new tab, which closes the popup
+function renderMaybeLaterPopup(entries) {
+  const container = document.getElementById('maybe-later');
+  container.innerHTML = '';
+  container.appendChild(createMaybeLaterList(entries, {
+    onOpen: function(entry) {
+      touchMaybeLaterEntry(entry.key)
+        .then(() => browser.tabs.create({ url: entry.productUrl }))
+        .then(() => window.close());
+    },
+    onDelete: function(keys) {
+      removeMaybeLaterEntries(keys).then(renderMaybeLaterPopup);
+    }
+  }));
+}
+
+// Each change is saved on its own; the input then shows what was stored
+function renderSettingsPopup(settings) {
+  const similarity = document.getElementById('setting-similarity');
+  const showSimilarity = () => {
+    document.getElementById('setting-similarity-value').textContent = `${Math.round(similarity.valueAsNumber * 100)}%`;
+  };
+
+  POPUP_SETTING_FIELDS.forEach(field => {
+    const input = document.getElementById(field.id);
+    input.value = settings[field.key];
+    input.onchange = function() {
+      const value = field.read(input);
+      if (value === null) {
+        input.value = settings[field.key];
+        return;
+      }
+      saveExtensionSettings({ [field.key]: value })
+        .then(updated => {
+          settings = updated;
+          input.value = updated[field.key];
+          showSimilarity();
+        })
+        .catch(error => console.error("Cart Image Extractor: Failed to save settings:", error));
+    };
+  });
+
+  similarity.oninput = showSimilarity;
+  showSimilarity();
+}
+
+// Empty and non-numeric inputs read as null
+function clampSetting(value, min, max) {
+  return isFinite(value) ? Math.min(Math.max(value, min), max) : null;
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  loadSavingsLedger().then(renderSavingsPopup);
+  loadMaybeLater().then(renderMaybeLaterPopup);
+  loadExtensionSettings().then(renderSettingsPopup);
+});
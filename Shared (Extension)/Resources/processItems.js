@@ -2,87 +2,137 @@
 //// Process the cart items to create a mobile-style layout matching the React app
 
 
-// Process the cart items to create a mobile-style layout matching the React app
+// Process the cart items to create a mobile-style layout matching the React app.
+// Every extraction (first load and each observer pass) is reconciled with the
+// panel state, and the panel is redrawn only when the cart actually changed.
 function processCartItems(cartItems, panel, usedSelector) {
   try {
     if (!currentSiteConfig) return;
 
-    // Clear existing content - This is okay for the main cart item navigation,
-    // but our similar item navigation will use a targeted update.
-    panel.innerHTML = '';
-
     // Initialize cart state if not already done
     panel.cartState = panel.cartState || {
       items: [],
       currentIndex: 0,
       similarItems: [],
       similarItemsIndex: {}, // This might be deprecated if currentSimilarIndex is on each item
-      wardrobeBottoms: []
+      wardrobeItems: []
     };
 
-    // --- State Processing: This block now runs only ONCE per set of cart items ---
-    // If the cart items in our state are empty OR if we are processing a new set of cartItems
-    // (This condition might need refinement if cartItems can change without full re-init,
-    // for now, assuming it's for initial load or full refresh of cart)
-    if (panel.cartState.items.length === 0 && cartItems.length > 0) {
-      // 1. Convert cart items from DOM to our internal state format
-      panel.cartState.items = Array.from(cartItems).map((item, index) => {
-        let productInfo;
-        // This block assumes your site-specific processor functions are available globally
-        // or have been moved to a file loaded before content.js
-        if (window.location.hostname.includes('abercrombie.com')) {
-          productInfo = processAbercrombieItem(item, index);
-        } else if (window.location.hostname.includes('ohpolly.com')) {
-          productInfo = processOhPollyItem(item, index);
-        } else if (window.location.hostname.includes('revolve.com')) {
-          productInfo = processRevolveItem(item, index);
-        } else if (window.location.hostname.includes('hm.com')) {
-          productInfo = processHMItem(item, index);
-        } else if (window.location.hostname.includes('princesspolly.com')) {
-          productInfo = processPrincessPollyItem(item, index);
-        } else if (window.location.hostname.includes('aritzia.com')) {
-          productInfo = processAritziaItem(item, index);
-        } else if (window.location.hostname.includes('urbanoutfitters.com')) {
-          productInfo = processUrbanOutfittersItem(item, index);
-        } else if (window.location.hostname.includes('fashionnova.com')) {
-          productInfo = processFashionNovaItem(item, index);
-        } else if (window.location.hostname.includes('brandymelville.com')) {
-          productInfo = processBrandyMelvilleItem(item, index);
-        } else {
-          productInfo = {
-            imageUrl: getImageUrl(item), // Assumes getImageUrl is defined
-            productName: getTextFromSelectors('name', item) || 'Product', // Assumes getTextFromSelectors is defined
-            price: getTextFromSelectors('price', item) || '',
-            size: getTextFromSelectors('size', item) || '',
-            color: getTextFromSelectors('color', item) || ''
-          };
-        }
-        return {
-          id: index, // Or a more unique ID if available from the item
-          ...productInfo,
-          currentSimilarIndex: 0 // Initialize for each cart item
-        };
-      });
+    if (cartItems.length > 0) {
+      const isFirstPass = panel.cartState.items.length === 0;
+      const changes = updateCartState(panel, cartItems);
+      if (!isFirstPass && !changes.changed) {
+        console.log(`Cart Image Extractor: Cart unchanged (${usedSelector}), keeping the panel as is`);
+        return;
+      }
+    }
 
-      // 2. Clear and rebuild the similar items mapping.
-      panel.cartState.similarItems = [];
-      const wardrobeBottoms = panel.cartState.wardrobeBottoms || [];
-      if (wardrobeBottoms.length > 0) {
-        panel.cartState.items.forEach((cartItem) => {
-          const itemId = cartItem.id;
-          wardrobeBottoms.forEach((bottom, bottomIndex) => {
-            panel.cartState.similarItems.push({
-              id: `${itemId}-bottom-${bottomIndex}`, // Unique ID for the similar item instance
-              cartItemId: itemId, // Link back to the cart item
-              imageUrl: bottom.image ? `data:image/jpeg;base64,${bottom.image}` : '/api/placeholder/200/250',
-              category: bottom.categoryName || 'Bottom',
-              similarityScore: 0.8, // Default for MVP
-              lastWorn: bottom.dateAdded ? new Date(bottom.dateAdded).toLocaleDateString() : 'Unknown'
-            });
-          });
-        });
+    renderCartPanel(panel);
+  } catch (error) {
+    showDebugOverlay("ERROR in processCartItems: " + error.message);
+    console.error("Error in processCartItems:", error);
+  }
+}
+
+// Merge freshly extracted cart items into the panel state (cartReconciliation.js)
+// and recompute what depends on the lines that were added or changed
+function updateCartState(panel, cartItems) {
+  const state = panel.cartState;
+  const isFirstPass = state.items.length === 0;
+  const currentId = state.items[state.currentIndex] ? state.items[state.currentIndex].id : null;
+
+  // 1. Convert cart items (DOM elements or cart.js lines) to our internal state format
+  const freshItems = assignCartItemIds(Array.from(cartItems).map((item, index) => {
+    // Items from the Shopify cart.js adapter are already mapped; DOM
+    // elements go through the processor each site declares in SITE_CONFIGS
+    const processor = currentSiteConfig.processor || processGenericItem;
+    const productInfo = item instanceof Element ? processor(item, index) : item;
+    const classification = classifyProduct({
+      name: productInfo.productName,
+      breadcrumb: productInfo.breadcrumb,
+      url: productInfo.productUrl,
+      retailer: currentSiteConfig.key
+    });
+    return {
+      ...productInfo,
+      lineElement: item instanceof Element ? item : null, // Cart line on the page, for removal
+      classification: classification,
+      category: classification.wardrobeCategory // Wardrobe categoryName or null
+    };
+  }));
+
+  const changes = reconcileCartItems(state.items, freshItems);
+  if (!changes.changed) return changes;
+
+  state.items = changes.items;
+  console.log(`Cart Image Extractor: Cart reconciled: ${changes.added.length} added, ${changes.rematched.length} changed, ${changes.removed.length} removed`);
+
+  // 2. Rebuild the similar items of new and changed lines. Every wardrobe item
+  // is scored against each cart item; matches below the threshold from
+  // settings are dropped and the rest are kept best first.
+  const rebuilt = changes.added.concat(changes.rematched);
+  const liveIds = new Set(state.items.map(item => item.id));
+  const rebuiltIds = new Set(rebuilt.map(item => item.id));
+  state.similarItems = state.similarItems.filter(item => liveIds.has(item.cartItemId) && !rebuiltIds.has(item.cartItemId));
+  rebuilt.forEach((cartItem) => {
+    const similarItems = buildSimilarItems(panel, cartItem);
+    state.similarItems = state.similarItems.concat(similarItems);
+    cartItem.currentSimilarIndex = Math.min(cartItem.currentSimilarIndex || 0, Math.max(similarItems.length - 1, 0));
+
+    // Complementary wardrobe pieces for the "Goes With" section
+    cartItem.pairings = findOutfitPairings(cartItem, state.wardrobeItems || []);
+  });
+
+  // 3. Open on the first item the user already owns duplicates of; later
+  // passes stay on the item being viewed
+  const settings = state.settings || DEFAULT_EXTENSION_SETTINGS;
+  const firstDuplicateIndex = markDuplicateCartItems(panel, settings.duplicateWarningMinItems);
+  const currentIndex = state.items.findIndex(item => item.id === currentId);
+  if (isFirstPass && firstDuplicateIndex !== -1) {
+    state.currentIndex = firstDuplicateIndex;
+  } else if (currentIndex !== -1) {
+    state.currentIndex = currentIndex;
+  } else {
+    state.currentIndex = Math.min(state.currentIndex, state.items.length - 1);
+  }
+
+  // 4. Subtotal, discounts, shipping, tax and total from the page,
+  // checked against the line items
+  state.summary = extractCartSummary(state.items);
+
+  // Checkout pages rarely list items we can read, so remember this cart
+  // for the cooling-off gate and the budget
+  rememberCartSnapshot(state.items, resolveCartTotal(state.summary, state.items));
+
+  // Skipped items that are back in the cart no longer count as savings
+  if (changes.added.length > 0) {
+    reconcileSavingsLedger(changes.added).then(entries => {
+      state.savings = entries;
+      if (!panel.classList.contains('hidden')) {
+        renderCartPanel(panel);
       }
+    }).catch(error => {
+      console.error("Cart Image Extractor: Failed to reconcile the savings ledger:", error);
+    });
+  }
+
+  // 5. Re-rank new and changed lines with photo similarity in the background,
+  // re-rendering as each finishes (unless the user closed the panel)
+  refineSimilarItemsWithPhotos(panel, rebuilt, function() {
+    if (!panel.classList.contains('hidden')) {
+      renderCartPanel(panel);
     }
+  });
+
+  return changes;
+}
+
+// Draw the panel from panel.cartState
+function renderCartPanel(panel) {
+  try {
+    // Clear existing content - This is okay for the main cart item navigation,
+    // but our similar item navigation will use a targeted update.
+    panel.innerHTML = '';
 
     // --- UI Rendering: This section now only reads from the existing state ---
 
@@ -105,10 +155,13 @@ function processCartItems(cartItems, panel, usedSelector) {
     closeButton.className = 'close-button';
     closeButton.innerHTML = '×';
     closeButton.addEventListener('click', function() {
-      panel.classList.add('hidden');
-      createToggleButton(); // Assumes createToggleButton is defined
+      closeCartPanel(panel);
     });
     header.appendChild(title);
+    const totalBadge = createCartTotalBadge(panel.cartState.summary, panel.cartState.items);
+    if (totalBadge) {
+      header.appendChild(totalBadge);
+    }
     header.appendChild(closeButton);
     panel.appendChild(header);
 
@@ -121,8 +174,9 @@ function processCartItems(cartItems, panel, usedSelector) {
     prevButton.disabled = panel.cartState.items.length <= 1;
     prevButton.addEventListener('click', function() {
       if (panel.cartState.items.length <= 1) return;
+      panel.cartState.removalStatus = null;
       panel.cartState.currentIndex = currentIndex > 0 ? currentIndex - 1 : panel.cartState.items.length - 1;
-      processCartItems(cartItems, panel, usedSelector); // This re-renders for main item change
+      renderCartPanel(panel); // This re-renders for main item change
     });
     const navInfo = document.createElement('div');
     navInfo.className = 'panel-nav-info';
@@ -133,14 +187,32 @@ function processCartItems(cartItems, panel, usedSelector) {
     nextButton.disabled = panel.cartState.items.length <= 1;
     nextButton.addEventListener('click', function() {
       if (panel.cartState.items.length <= 1) return;
+      panel.cartState.removalStatus = null;
       panel.cartState.currentIndex = currentIndex < panel.cartState.items.length - 1 ? currentIndex + 1 : 0;
-      processCartItems(cartItems, panel, usedSelector); // This re-renders for main item change
+      renderCartPanel(panel); // This re-renders for main item change
     });
     nav.appendChild(prevButton);
     nav.appendChild(navInfo);
     nav.appendChild(nextButton);
     panel.appendChild(nav);
 
+    // Outcome of the last "Skip this item", until the user moves on
+    if (panel.cartState.removalStatus) {
+      panel.appendChild(createRemovalStatus(panel.cartState.removalStatus));
+    }
+
+    // Where this cart leaves the monthly budget
+    panel.appendChild(createBudgetBar(panel.cartState, function(settings) {
+      panel.cartState.settings = settings;
+      renderCartPanel(panel);
+    }));
+
+    // Duplicate warning for the current item, above everything else
+    if (currentItem.duplicates && currentItem.duplicates.length > 0) {
+      const tone = (panel.cartState.settings || DEFAULT_EXTENSION_SETTINGS).duplicateWarningTone;
+      panel.appendChild(createDuplicateWarning(currentItem, tone));
+    }
+
     // Create main content container
     const content = document.createElement('div');
     content.className = 'image-container';
@@ -175,7 +247,29 @@ function processCartItems(cartItems, panel, usedSelector) {
     cartItemDetails.appendChild(cartItemName);
     cartItemDetails.appendChild(cartItemSpecs);
     cartItemDetails.appendChild(cartItemPrice);
+    // Skipping drives the site's own remove or decrease control (cartRemoval.js);
+    // "Maybe later" does the same and keeps the item in the Maybe later list
+    if (canRemoveCartLine(currentItem)) {
+      const skipButton = document.createElement('button');
+      skipButton.className = 'item-delete-button';
+      skipButton.textContent = 'Skip this item';
+      const laterButton = document.createElement('button');
+      laterButton.className = 'item-later-button';
+      laterButton.textContent = 'Maybe later';
+      [skipButton, laterButton].forEach(button => {
+        button.addEventListener('click', function() {
+          skipButton.disabled = true;
+          laterButton.disabled = true;
+          skipCartItem(panel, currentItem, button, function() {
+            renderCartPanel(panel);
+          }, button === laterButton);
+        });
+        cartItemDetails.appendChild(button);
+      });
+    }
     cartItemSection.appendChild(cartItemDetails);
+    // Similar items already owned compete with this one for wear time
+    cartItemSection.appendChild(createCostPerWearSection(currentItem, similarItemsForCurrentCartItem.length));
     content.appendChild(cartItemSection);
 
     // Similar Items Section
@@ -183,7 +277,7 @@ function processCartItems(cartItems, panel, usedSelector) {
     similarSection.className = 'similar-section';
     const similarSectionTitle = document.createElement('div');
     similarSectionTitle.className = 'section-title';
-    similarSectionTitle.textContent = 'Items in Your Wardrobe';
+    similarSectionTitle.textContent = currentItem.category ? `${currentItem.category} in Your Wardrobe` : 'Items in Your Wardrobe';
     similarSection.appendChild(similarSectionTitle);
 
     // Add a wrapper for the content that will be updated by updateSimilarItemsDisplay
@@ -194,21 +288,44 @@ function processCartItems(cartItems, panel, usedSelector) {
     content.appendChild(similarSection);
     panel.appendChild(content);
 
+    // Items moved out of this or another cart with "Maybe later"
+    if (panel.cartState.showMaybeLater) {
+      panel.appendChild(createMaybeLaterSection(panel, function() {
+        renderCartPanel(panel);
+      }));
+    }
+
     // Footer with buttons
     const footer = document.createElement('div');
     footer.className = 'panel-footer';
+    const savingsSummary = createSavingsSummary(panel.cartState.savings);
+    if (savingsSummary) {
+      footer.appendChild(savingsSummary);
+    }
+    const maybeLaterEntries = panel.cartState.maybeLater || [];
+    if (maybeLaterEntries.length > 0 || panel.cartState.showMaybeLater) {
+      const maybeLaterToggle = document.createElement('button');
+      maybeLaterToggle.className = 'maybe-later-toggle';
+      maybeLaterToggle.textContent = panel.cartState.showMaybeLater
+        ? 'Hide Maybe later'
+        : `Maybe later (${maybeLaterEntries.length})`;
+      maybeLaterToggle.addEventListener('click', function() {
+        panel.cartState.showMaybeLater = !panel.cartState.showMaybeLater;
+        renderCartPanel(panel);
+      });
+      footer.appendChild(maybeLaterToggle);
+    }
     if (currentSimilarItemToDisplay) { // Check if there's a similar item to display for the footer message
       const footerMessage = document.createElement('div');
       footerMessage.className = 'footer-message';
-      footerMessage.textContent = `You have ${similarItemsForCurrentCartItem.length} bottom(s) in your wardrobe.`;
+      footerMessage.textContent = `You already own ${formatCategoryCount(similarItemsForCurrentCartItem.length, currentItem.category)} like this.`;
       footer.appendChild(footerMessage);
     }
     const continueButton = document.createElement('button');
     continueButton.className = 'footer-button primary-button';
     continueButton.textContent = 'Continue Shopping';
     continueButton.addEventListener('click', function() {
-      panel.classList.add('hidden');
-      createToggleButton(); // Assumes createToggleButton is defined
+      closeCartPanel(panel);
     });
     const seeAllButton = document.createElement('button');
     seeAllButton.className = 'footer-button secondary-button';
@@ -229,8 +346,8 @@ function processCartItems(cartItems, panel, usedSelector) {
     console.log("Cart Image Extractor: Mobile panel populated and displayed");
     showDebugOverlay("Mobile panel populated and displayed");
   } catch (error) {
-    showDebugOverlay("ERROR in processCartItems: " + error.message);
-    console.error("Error in processCartItems:", error);
+    showDebugOverlay("ERROR in renderCartPanel: " + error.message);
+    console.error("Error in renderCartPanel:", error);
   }
 }
 
@@ -329,7 +446,10 @@ function updateSimilarItemsDisplay(panel) {
 
       const matchBadge = document.createElement('div');
       matchBadge.className = 'item-match-badge';
-      matchBadge.textContent = 'From Wardrobe'; // Or dynamically set if needed
+      matchBadge.textContent = `${Math.round(itemToDisplay.similarityScore * 100)}% match`;
+      matchBadge.title = Object.keys(itemToDisplay.scoreBreakdown || {})
+        .map(factor => `${factor}: ${Math.round(itemToDisplay.scoreBreakdown[factor].score * 100)}%`)
+        .join(', ');
       similarImageContainer.appendChild(matchBadge);
       similarImageWrapper.appendChild(similarImageContainer);
       wrapper.appendChild(similarImageWrapper);
@@ -347,7 +467,9 @@ function updateSimilarItemsDisplay(panel) {
       const similarItemLastWornEl = document.createElement('div');
       similarItemLastWornEl.className = 'item-specs';
       similarItemLastWornEl.id = 'similar-item-last-worn'; // Keep ID
-      similarItemLastWornEl.textContent = `Added on: ${itemToDisplay.lastWorn}`;
+      similarItemLastWornEl.textContent = itemToDisplay.colorLabel && itemToDisplay.colorLabel !== 'unknown color'
+        ? `${itemToDisplay.colorLabel} | Added on: ${itemToDisplay.lastWorn}`
+        : `Added on: ${itemToDisplay.lastWorn}`;
       similarItemDetails.appendChild(similarItemLastWornEl);
 
       // Create and append dots
@@ -378,11 +500,197 @@ function updateSimilarItemsDisplay(panel) {
       const noSimilarMessage = document.createElement('div');
       noSimilarMessage.className = 'panel-message';
       noSimilarMessage.id = 'no-similar-items-message'; // Keep ID
-      noSimilarMessage.textContent = 'No bottoms found in your wardrobe to compare.';
+      noSimilarMessage.textContent = currentCartItem.category
+        ? `No ${currentCartItem.category.toLowerCase()} found in your wardrobe to compare.`
+        : currentCartItem.classification && currentCartItem.classification.category
+          ? `Your wardrobe doesn't track ${currentCartItem.classification.category} yet, so there is nothing to compare.`
+          : "We couldn't tell what kind of item this is, so there is nothing to compare yet.";
       wrapper.appendChild(noSimilarMessage);
     }
+
+    // What the cart item goes with, whether or not it has similar items
+    wrapper.appendChild(createGoesWithSection(currentCartItem));
   } catch (error) {
     showDebugOverlay("ERROR in updateSimilarItemsDisplay: " + error.message);
     console.error("Error in updateSimilarItemsDisplay:", error);
   }
 }
+
+// Score the wardrobe against one cart item and return its similar items,
+// best first. `visualScores` maps wardrobe items to photo similarity.
+function buildSimilarItems(panel, cartItem, visualScores) {
+  const threshold = (panel.cartState.settings || DEFAULT_EXTENSION_SETTINGS).similarityThreshold;
+
+  return rankWardrobeMatches(cartItem, panel.cartState.wardrobeItems || [], threshold, visualScores)
+    .map((match, matchIndex) => {
+      const wardrobeItem = match.item;
+      return {
+        id: `${cartItem.id}-wardrobe-${wardrobeItem.id || matchIndex}`, // Unique ID for the similar item instance
+        cartItemId: cartItem.id, // Link back to the cart item
+        imageUrl: wardrobeItem.image ? `data:image/jpeg;base64,${wardrobeItem.image}` : '/api/placeholder/200/250',
+        category: wardrobeItem.categoryName,
+        colorLabel: wardrobeItem.colorLabel || '',
+        similarityScore: match.score, // 0-1, see similarityScoring.js
+        scoreBreakdown: match.factors,
+        lastWorn: wardrobeItem.dateAdded ? new Date(wardrobeItem.dateAdded).toLocaleDateString() : 'Unknown'
+      };
+    });
+}
+
+// Compare the photos of `cartItems` with the photos of same-category wardrobe
+// items, one image at a time, and rebuild each cart item's matches with the
+// visual scores. Items that leave the cart or change photo meanwhile are
+// skipped quietly.
+function refineSimilarItemsWithPhotos(panel, cartItems, onUpdate) {
+  const wardrobeItems = panel.cartState.wardrobeItems || [];
+
+  return cartItems.reduce((chain, cartItem) => chain.then(() => {
+    const imageUrl = cartItem.imageUrl;
+    const isCurrent = () => panel.cartState.items.includes(cartItem) && cartItem.imageUrl === imageUrl;
+    if (!isCurrent() || !imageUrl) return;
+
+    const candidates = wardrobeItems.filter(item => item.image && scoreCategoryFactor(cartItem, item) > 0);
+    const visualScores = new Map();
+
+    return candidates.reduce((inner, wardrobeItem) => inner.then(() => {
+      if (!isCurrent()) return;
+      return compareImages(imageUrl, `data:image/jpeg;base64,${wardrobeItem.image}`)
+        .then(result => {
+          if (result) visualScores.set(wardrobeItem, result.score);
+        });
+    }), Promise.resolve()).then(() => {
+      if (!isCurrent() || visualScores.size === 0) return;
+
+      const refined = buildSimilarItems(panel, cartItem, visualScores);
+      panel.cartState.similarItems = panel.cartState.similarItems
+        .filter(item => item.cartItemId !== cartItem.id)
+        .concat(refined);
+      cartItem.currentSimilarIndex = Math.min(cartItem.currentSimilarIndex || 0, Math.max(refined.length - 1, 0));
+      onUpdate();
+    });
+  }), Promise.resolve()).catch(error => {
+    console.error("Error in refineSimilarItemsWithPhotos:", error);
+  });
+}
+
+// Singular and plural nouns for the wardrobe's categoryName values
+const WARDROBE_CATEGORY_NOUNS = {
+  Tops: ['top', 'tops'],
+  Bottoms: ['bottom', 'bottoms'],
+  Dresses: ['dress', 'dresses'],
+  Skirts: ['skirt', 'skirts'],
+  Coats: ['coat', 'coats'],
+  Shoes: ['shoe', 'shoes']
+};
+
+// Hide the panel at the user's request. The cart is not watched while the
+// panel is closed; reopening it from the toggle button resumes watching.
+function closeCartPanel(panel) {
+  panel.classList.add('hidden');
+  teardownScope(PANEL_SCOPE);
+  createToggleButton(); // Assumes createToggleButton is defined
+}
+
+// formatCategoryCount(4, 'Tops') → "4 tops", formatCategoryCount(1, 'Dresses') → "1 dress"
+function formatCategoryCount(count, category) {
+  const nouns = WARDROBE_CATEGORY_NOUNS[category] || ['item', 'items'];
+  return `${count} ${count === 1 ? nouns[0] : nouns[1]}`;
+}
+
+// Remove the item with the site's controls; once the page confirms it, record
+// it as skipped (and keep it in Maybe later when `saveForLater` is set) and
+// drop it from the panel. The outcome is shown either way.
+function skipCartItem(panel, cartItem, button, onChange, saveForLater) {
+  button.disabled = true;
+  button.textContent = saveForLater ? 'Moving…' : 'Removing…';
+
+  return removeCartLine(cartItem).then(result => {
+    const state = panel.cartState;
+    state.removalStatus = result;
+    if (!result.removed) {
+      onChange();
+      return;
+    }
+
+    if (saveForLater) {
+      result.message = `Moved "${cartItem.productName || 'this item'}" to Maybe later.`;
+      saveMaybeLaterItem(cartItem).then(entries => {
+        state.maybeLater = entries;
+        if (state.items.length > 0) onChange();
+      }).catch(error => {
+        console.error("Cart Image Extractor: Failed to save to Maybe later:", error);
+      });
+    }
+
+    state.items = state.items.filter(item => item !== cartItem);
+    state.similarItems = state.similarItems.filter(item => item.cartItemId !== cartItem.id);
+    state.currentIndex = Math.min(state.currentIndex, Math.max(state.items.length - 1, 0));
+
+    // Undoing opens the product page; an item saved for later leaves the list
+    showUndoToast(cartItem, saveForLater ? function() {
+      removeMaybeLaterEntries([savingsLedgerKey(cartItem)]).catch(error => {
+        console.error("Cart Image Extractor: Failed to remove from Maybe later:", error);
+      });
+    } : null);
+
+    recordSkippedItem(cartItem).then(entries => {
+      state.savings = entries;
+      // With the cart empty the panel is on its way out; re-rendering would rebuild it
+      if (state.items.length > 0) onChange();
+    }).catch(error => {
+      console.error("Cart Image Extractor: Failed to record the skipped item:", error);
+    });
+
+    if (state.items.length === 0) {
+      // Leave the confirmation up briefly before the panel goes
+      panel.innerHTML = '';
+      panel.appendChild(createRemovalStatus(result));
+      trackedTimeout(ROUTE_SCOPE, hideCartPanel, 2000);
+      return;
+    }
+    onChange();
+  }).catch(error => {
+    showDebugOverlay("ERROR in skipCartItem: " + error.message);
+    console.error("Error in skipCartItem:", error);
+  });
+}
+
+function createRemovalStatus(status) {
+  const message = document.createElement('div');
+  message.className = `removal-status ${status.removed ? 'removal-status-success' : 'removal-status-error'}`;
+  message.setAttribute('role', 'status');
+  message.textContent = status.message;
+  return message;
+}
+
+// The Maybe later list in the panel; product pages open in a new tab
+function createMaybeLaterSection(panel, onChange) {
+  const section = document.createElement('div');
+  section.className = 'maybe-later-section';
+  const sectionTitle = document.createElement('div');
+  sectionTitle.className = 'section-title';
+  sectionTitle.textContent = 'Maybe Later';
+  section.appendChild(sectionTitle);
+
+  section.appendChild(createMaybeLaterList(panel.cartState.maybeLater || [], {
+    onOpen: function(entry) {
+      window.open(entry.productUrl, '_blank');
+      touchMaybeLaterEntry(entry.key).then(entries => {
+        panel.cartState.maybeLater = entries;
+        onChange();
+      }).catch(error => {
+        console.error("Cart Image Extractor: Failed to update Maybe later:", error);
+      });
+    },
+    onDelete: function(keys) {
+      removeMaybeLaterEntries(keys).then(entries => {
+        panel.cartState.maybeLater = entries;
+        onChange();
+      }).catch(error => {
+        console.error("Cart Image Extractor: Failed to remove from Maybe later:", error);
+      });
+    }
+  }));
+
+  return section;
+}
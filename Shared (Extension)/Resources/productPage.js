@@ -0,0 +1,465 @@
+//
+//  productPage.js
+//  SkipTheCart
+//
+
+/**
+ * Product page mode
+ * =================
+ *
+ * The cart panel only appears once an item is already in the bag. On product
+ * detail pages (PDPs) we show a compact wardrobe comparison right next to the
+ * site's "Add to Bag" button instead, so the comparison happens before the
+ * impulse.
+ *
+ * A page is treated as a PDP when its URL matches the site's
+ * `productPage.urlPatterns` (strings or RegExps), or when it publishes
+ * schema.org Product structured data (JSON-LD, microdata or og:type).
+ * Product details are read from JSON-LD first and from the site's
+ * `productPage.selectors` second, and come back in the same shape the cart
+ * processors return.
+ */
+
+// Generic selectors tried after a site's own productPage.selectors
+const DEFAULT_PRODUCT_SELECTORS = {
+  name: ['h1', 'meta[property="og:title"]'],
+  price: ['[itemprop="price"]', '[data-testid*="price"]', '[class*="price"]', 'meta[property="product:price:amount"]'],
+  image: ['meta[property="og:image"]', 'main img'],
+  color: ['[itemprop="color"]', '[class*="color-name"]', '[class*="selected-color"]']
+};
+
+// Text-based fallbacks for locating the add to cart button when a site's
+// addToCartButton selectors find nothing
+const ADD_TO_CART_TEXT_SELECTORS = [
+  'button[name="add"]',
+  'button:icontains("add to bag")',
+  'button:icontains("add to cart")',
+  'button:icontains("add to basket")',
+  '[type="submit"]:icontains("add to")'
+];
+
+const PRODUCT_COMPARE_ID = 'stc-product-compare';
+// Let the product page render before looking for its Add to Bag button
+const PRODUCT_PAGE_SETTLE_DELAY = 800;
+const PRODUCT_BUTTON_RETRY_DELAY = 1000;
+const PRODUCT_BUTTON_MAX_RETRIES = 5;
+
+// Product shown by the current compare widget, reset on navigation
+let currentProductDetails = null;
+
+// ==============================================
+// PRODUCT PAGE DETECTION
+// ==============================================
+
+function checkForProductPageURL() {
+  if (!currentSiteConfig || !currentSiteConfig.productPage) return false;
+
+  const href = window.location.href;
+  return currentSiteConfig.productPage.urlPatterns.some(pattern =>
+    pattern instanceof RegExp ? pattern.test(href) : href.includes(pattern)
+  );
+}
+
+function isProductDetailPage() {
+  try {
+    if (!currentSiteConfig) return false;
+
+    if (checkForProductPageURL()) {
+      console.log("Cart Image Extractor: Product page URL matched");
+      return true;
+    }
+
+    if (findProductStructuredData() ||
+        document.querySelector('[itemtype*="schema.org/Product"], meta[property="og:type"][content="product"]')) {
+      console.log("Cart Image Extractor: Product structured data found");
+      return true;
+    }
+
+    return false;
+  } catch (error) {
+    showDebugOverlay("ERROR in isProductDetailPage: " + error.message);
+    console.error("Error in isProductDetailPage:", error);
+    return false;
+  }
+}
+
+// Find the first schema.org Product object in the page's JSON-LD blocks
+function findProductStructuredData() {
+  const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+
+  for (const script of scripts) {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch (error) {
+      continue; // Malformed JSON-LD is common, skip it
+    }
+
+    const product = findProductNode(data);
+    if (product) return product;
+  }
+
+  return null;
+}
+
+function findProductNode(node) {
+  if (!node || typeof node !== 'object') return null;
+
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const product = findProductNode(child);
+      if (product) return product;
+    }
+    return null;
+  }
+
+  const types = [].concat(node['@type'] || []);
+  if (types.includes('Product') || types.includes('ProductGroup')) {
+    return node;
+  }
+
+  return findProductNode(node['@graph']);
+}
+
+// ==============================================
+// PRODUCT EXTRACTION
+// ==============================================
+
+// Extract the product on this page in the same shape the cart processors return
+function extractProductDetails() {
+  const structured = findProductStructuredData();
+  const siteSelectors = (currentSiteConfig.productPage && currentSiteConfig.productPage.selectors) || {};
+  const selectors = {};
+  Object.keys(DEFAULT_PRODUCT_SELECTORS).forEach(field => {
+    selectors[field] = (siteSelectors[field] || []).concat(DEFAULT_PRODUCT_SELECTORS[field]);
+  });
+
+  const details = {
+    imageUrl: '',
+    productName: '',
+    brand: '',
+    price: '',
+    money: null,
+    size: '',
+    color: '',
+    breadcrumb: extractBreadcrumb(),
+    productUrl: window.location.href
+  };
+
+  if (structured) {
+    const offer = firstOffer(structured.offers);
+    details.productName = structured.name || '';
+    details.imageUrl = firstImageUrl(structured.image);
+    details.brand = typeof structured.brand === 'object' ? (structured.brand.name || '') : (structured.brand || '');
+    details.color = structured.color || '';
+    if (offer && offer.price !== undefined) {
+      details.price = formatStructuredPrice(offer.price, offer.priceCurrency);
+      // schema.org prices are plain decimal numbers, not display strings
+      details.money = isFinite(Number(offer.price)) ? buildMoney(Number(offer.price), offer.priceCurrency) : null;
+    }
+  }
+
+  // Selectors fill in whatever the structured data did not provide
+  details.productName = details.productName || getProductText(selectors.name);
+  details.price = details.price || getProductText(selectors.price);
+  details.money = details.money || parseMoney(details.price);
+  details.color = details.color || getProductText(selectors.color);
+  details.imageUrl = details.imageUrl || getProductImage(selectors.image);
+  details.productName = details.productName || 'Product';
+
+  console.log("Cart Image Extractor: Extracted product details", details);
+  return details;
+}
+
+// Breadcrumb trail from schema.org BreadcrumbList, else from breadcrumb links
+function extractBreadcrumb() {
+  const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+  for (const script of scripts) {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch (error) {
+      continue;
+    }
+    if (!data) continue;
+
+    const list = [].concat(data['@graph'] || data).find(node => node && node['@type'] === 'BreadcrumbList');
+    if (list && Array.isArray(list.itemListElement)) {
+      return list.itemListElement
+        .map(entry => entry.name || (entry.item && entry.item.name) || '')
+        .filter(Boolean);
+    }
+  }
+
+  const links = document.querySelectorAll('nav[aria-label*="breadcrumb" i] a, [class*="breadcrumb"] a');
+  return Array.from(links).map(link => link.textContent.trim()).filter(Boolean);
+}
+
+function firstOffer(offers) {
+  if (!offers) return null;
+  const list = [].concat(offers);
+  const offer = list[0];
+  if (offer && offer.price === undefined && offer.lowPrice !== undefined) {
+    return { price: offer.lowPrice, priceCurrency: offer.priceCurrency };
+  }
+  return offer;
+}
+
+function firstImageUrl(image) {
+  if (!image) return '';
+  const first = [].concat(image)[0];
+  if (typeof first === 'string') return first;
+  return (first && (first.url || first.contentUrl)) || '';
+}
+
+function formatStructuredPrice(price, currency) {
+  const amount = Number(price);
+  if (!isFinite(amount)) return String(price);
+  return formatMoney(amount, currency || 'USD');
+}
+
+function getProductText(selectors) {
+  for (const selector of selectors || []) {
+    const element = extendedQuery(document, selector);
+    if (!element) continue;
+    const text = element.tagName === 'META' ? element.getAttribute('content') : element.textContent;
+    if (text && text.trim()) return text.trim();
+  }
+  return '';
+}
+
+function getProductImage(selectors) {
+  for (const selector of selectors || []) {
+    const element = extendedQuery(document, selector);
+    if (!element) continue;
+    if (element.tagName === 'META' && element.getAttribute('content')) return element.getAttribute('content');
+    if (element.tagName === 'IMG' && (element.currentSrc || element.src)) return element.currentSrc || element.src;
+  }
+  return '';
+}
+
+// Site-specific addToCartButton selectors first, then the text-based fallbacks
+function getAddToCartSelectors() {
+  const siteSelectors = (currentSiteConfig && currentSiteConfig.addToCartButton) || [];
+  return siteSelectors.concat(ADD_TO_CART_TEXT_SELECTORS);
+}
+
+function findAddToCartButton() {
+  const { elements } = extendedQueryFirstMatch(document, getAddToCartSelectors());
+  return elements.find(element => !element.disabled && element.offsetParent !== null) || elements[0] || null;
+}
+
+// Wardrobe items from the native app, fetched once per page load
+let cachedWardrobeItems = null;
+
+function fetchAllWardrobeItems(callback) {
+  if (cachedWardrobeItems) {
+    callback(cachedWardrobeItems);
+    return;
+  }
+
+  browser.runtime.sendMessage({ action: "getAllItems" }, function(response) {
+    if (response && Array.isArray(response.items)) {
+      console.log(`Cart Image Extractor: Fetched ${response.items.length} wardrobe items`);
+      cachedWardrobeItems = response.items;
+      callback(cachedWardrobeItems);
+    } else {
+      console.error("Cart Image Extractor: Failed to fetch wardrobe items", response && response.error);
+      callback([]);
+    }
+  });
+}
+
+// ==============================================
+// PRODUCT COMPARE WIDGET
+// ==============================================
+
+// Entry point from handleURLChange when a PDP is detected
+function initializeProductPageMode(attempt) {
+  try {
+    attempt = attempt || 0;
+    removeProductCompare();
+
+    if (!isProductDetailPage()) return;
+
+    const addButton = findAddToCartButton();
+    if (!addButton && attempt < PRODUCT_BUTTON_MAX_RETRIES) {
+      // Product pages usually hydrate the buy box after the URL changes
+      trackedTimeout(ROUTE_SCOPE, () => initializeProductPageMode(attempt + 1), PRODUCT_BUTTON_RETRY_DELAY);
+      return;
+    }
+
+    const product = extractProductDetails();
+    currentProductDetails = product;
+    const widget = createProductCompare(product);
+
+    if (addButton) {
+      addButton.insertAdjacentElement('afterend', widget);
+    } else {
+      // No button found - float the widget instead of skipping it
+      widget.classList.add('stc-product-compare--floating');
+      document.body.appendChild(widget);
+    }
+
+    fetchAllWardrobeItems(function(wardrobeItems) {
+      renderProductCompareItems(widget, product, wardrobeItems);
+    });
+  } catch (error) {
+    showDebugOverlay("ERROR in initializeProductPageMode: " + error.message);
+    console.error("Error in initializeProductPageMode:", error);
+  }
+}
+
+function createProductCompare(product) {
+  ensureProductCompareStyles();
+
+  const widget = document.createElement('div');
+  widget.id = PRODUCT_COMPARE_ID;
+  widget.className = 'stc-product-compare';
+
+  const title = document.createElement('div');
+  title.className = 'stc-product-compare__title';
+  title.textContent = 'Before you add this to your bag';
+  widget.appendChild(title);
+
+  const message = document.createElement('div');
+  message.className = 'stc-product-compare__message';
+  message.textContent = `Checking your wardrobe for items like "${product.productName}"…`;
+  widget.appendChild(message);
+
+  const thumbnails = document.createElement('div');
+  thumbnails.className = 'stc-product-compare__items';
+  widget.appendChild(thumbnails);
+
+  return widget;
+}
+
+/**
+ * Classify the product like a cart item (processItems.js) and rank the
+ * wardrobe items in its wardrobe category against it, best first, with the
+ * cart panel's scoring (similarityScoring.js).
+ *
+ * @returns {{product: Object, matches: Object[]}} the classified product and
+ *          the matching wardrobe items
+ */
+function findProductWardrobeMatches(product, wardrobeItems) {
+  const classification = classifyProduct({
+    name: product.productName,
+    breadcrumb: product.breadcrumb,
+    url: product.productUrl,
+    retailer: currentSiteConfig.key
+  });
+  const classified = Object.assign({}, product, {
+    classification: classification,
+    category: classification.wardrobeCategory
+  });
+  if (!classified.category) {
+    return { product: classified, matches: [] };
+  }
+
+  const sameCategory = wardrobeItems.filter(item => wardrobeCategoryKey(item.categoryName) === classified.category);
+  return {
+    product: classified,
+    matches: rankWardrobeMatches(classified, sameCategory).map(match => match.item)
+  };
+}
+
+// What the comparison found, in the cart panel's words
+function describeProductMatches(product, matches) {
+  if (!product.category) {
+    return product.classification.category
+      ? `Your wardrobe doesn't track ${product.classification.category} yet, so there is nothing to compare.`
+      : "We couldn't tell what kind of item this is, so there is nothing to compare yet.";
+  }
+
+  const nouns = WARDROBE_CATEGORY_NOUNS[product.category] || ['item', 'items'];
+  if (matches.length === 0) {
+    return `No ${nouns[1]} found in your wardrobe to compare.`;
+  }
+  return `You already own ${matches.length} ${matches.length === 1 ? nouns[0] : nouns[1]} like this. Take a look before adding this one.`;
+}
+
+function renderProductCompareItems(widget, product, wardrobeItems) {
+  const message = widget.querySelector('.stc-product-compare__message');
+  const thumbnails = widget.querySelector('.stc-product-compare__items');
+  thumbnails.innerHTML = '';
+
+  if (wardrobeItems.length === 0) {
+    message.textContent = 'No wardrobe items to compare yet.';
+    return;
+  }
+
+  const { product: classified, matches } = findProductWardrobeMatches(product, wardrobeItems);
+  message.textContent = describeProductMatches(classified, matches);
+
+  // Closest matches first, only a handful to keep the widget compact
+  matches.slice(0, 4).forEach(item => {
+    const thumb = document.createElement('img');
+    thumb.className = 'stc-product-compare__thumb';
+    thumb.src = item.image ? `data:image/jpeg;base64,${item.image}` : '/api/placeholder/200/250';
+    thumb.alt = `${item.colorLabel || ''} ${item.categoryName || 'Wardrobe item'}`.trim();
+    thumbnails.appendChild(thumb);
+  });
+}
+
+function removeProductCompare() {
+  const existing = document.getElementById(PRODUCT_COMPARE_ID);
+  if (existing && existing.parentNode) {
+    existing.parentNode.removeChild(existing);
+  }
+  currentProductDetails = null;
+}
+
+function ensureProductCompareStyles() {
+  if (document.getElementById('stc-product-compare-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'stc-product-compare-styles';
+  style.textContent = `
+    .stc-product-compare {
+      margin: 12px 0;
+      padding: 12px;
+      border: 1px solid #eaeaea;
+      border-radius: 8px;
+      background-color: #fff;
+      font-family: system-ui, -apple-system, sans-serif;
+      color: #333;
+      text-align: left;
+    }
+
+    .stc-product-compare--floating {
+      position: fixed;
+      left: 16px;
+      bottom: 16px;
+      max-width: 320px;
+      z-index: 9998;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+    }
+
+    .stc-product-compare__title {
+      font-size: 14px;
+      font-weight: bold;
+      margin-bottom: 4px;
+    }
+
+    .stc-product-compare__message {
+      font-size: 13px;
+      color: #666;
+      margin-bottom: 8px;
+    }
+
+    .stc-product-compare__items {
+      display: flex;
+      gap: 8px;
+    }
+
+    .stc-product-compare__thumb {
+      width: 56px;
+      height: 64px;
+      object-fit: contain;
+      background-color: #f9f9f9;
+      border-radius: 4px;
+    }
+  `;
+  document.head.appendChild(style);
+}
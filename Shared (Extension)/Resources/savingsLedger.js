@@ -0,0 +1,145 @@
+//
+//  savingsLedger.js
+//  SkipTheCart
+//
+
+/**
+ * Savings ledger
+ * ==============
+ *
+ * Every item removed from the cart through the panel is written to a ledger
+ * in browser.storage.local (`stc:savings`) with its product, retailer, price
+ * and removal time. The panel footer and the popup show how much was skipped
+ * in the current (local) calendar month.
+ *
+ * An item that shows up in the cart again within SAVINGS_READD_WINDOW_MS of
+ * being removed was not really skipped: its entry is marked `readdedAt` and
+ * no longer counts. Entries are matched on retailer, product and variant.
+ *
+ * Loaded by the content scripts and by popup.html; only the recording and
+ * reconciling helpers depend on the current site.
+ */
+
+const SAVINGS_LEDGER_KEY = 'stc:savings';
+
+const SAVINGS_READD_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+// Entries older than this are dropped when the ledger is written
+const SAVINGS_LEDGER_MAX_AGE_MS = 400 * 24 * 60 * 60 * 1000;
+
+/**
+ * @returns {Promise<Object[]>} entries, oldest first:
+ *          { key, productName, retailer, retailerName, price, amount, currency,
+ *            imageUrl, productUrl, removedAt, readdedAt }
+ */
+function loadSavingsLedger() {
+  return browser.storage.local.get(SAVINGS_LEDGER_KEY)
+    .then(result => result[SAVINGS_LEDGER_KEY] || [])
+    .catch(error => {
+      console.error("Cart Image Extractor: Failed to load savings ledger:", error);
+      return [];
+    });
+}
+
+function saveSavingsLedger(entries) {
+  const cutoff = Date.now() - SAVINGS_LEDGER_MAX_AGE_MS;
+  const kept = entries.filter(entry => entry.removedAt >= cutoff);
+  return browser.storage.local.set({ [SAVINGS_LEDGER_KEY]: kept }).then(() => kept);
+}
+
+/**
+ * Skipped amounts for the month containing `now`, one total per currency
+ * since prices are never converted.
+ *
+ * @returns {{totals: Object<string, number>, count: number}} totals keyed by
+ *          currency code ('' when unknown)
+ */
+function summarizeMonthlySavings(entries, now) {
+  const today = now ? new Date(now) : new Date();
+  const totals = {};
+  let count = 0;
+
+  entries.forEach(entry => {
+    const removed = new Date(entry.removedAt);
+    if (entry.readdedAt || removed.getFullYear() !== today.getFullYear() || removed.getMonth() !== today.getMonth()) {
+      return;
+    }
+    const currency = entry.currency || '';
+    totals[currency] = (totals[currency] || 0) + (entry.amount || 0);
+    count++;
+  });
+
+  return { totals: totals, count: count };
+}
+
+// "$120.00" or "$120.00 + €35.00"
+function formatSavingsTotals(totals) {
+  const currencies = Object.keys(totals);
+  if (currencies.length === 0) return formatMoney(0, 'USD');
+  return currencies.map(currency => formatMoney(totals[currency], currency || null)).join(' + ');
+}
+
+// ==============================================
+// RECORDING (content scripts)
+// ==============================================
+
+// Same product and variant at the same retailer
+function savingsLedgerKey(cartItem) {
+  const product = [cartItem.productUrl || cartItem.productName, cartItem.size, cartItem.color].join('|').toLowerCase();
+  return `${currentSiteConfig.key}:${hashString(product)}`;
+}
+
+// Add a removed cart item to the ledger and resolve with the updated ledger
+function recordSkippedItem(cartItem) {
+  const money = cartItem.money || parseMoney(cartItem.price);
+  const entry = {
+    key: savingsLedgerKey(cartItem),
+    productName: cartItem.productName || 'Product',
+    retailer: currentSiteConfig.key,
+    retailerName: currentSiteConfig.name,
+    price: cartItem.price || '',
+    amount: money ? money.amount * (cartItem.quantity || 1) : 0,
+    currency: money ? money.currency : null,
+    imageUrl: cartItem.imageUrl || '',
+    productUrl: cartItem.productUrl || '',
+    removedAt: Date.now(),
+    readdedAt: null
+  };
+
+  return loadSavingsLedger()
+    .then(entries => saveSavingsLedger(entries.concat(entry)))
+    .catch(error => {
+      console.error("Cart Image Extractor: Failed to record skipped item:", error);
+      return loadSavingsLedger();
+    });
+}
+
+// Cancel the savings of items that are back in the cart within the window
+function reconcileSavingsLedger(cartItems) {
+  if (!currentSiteConfig || cartItems.length === 0) return loadSavingsLedger();
+
+  const inCart = new Set(cartItems.map(savingsLedgerKey));
+  const now = Date.now();
+
+  return loadSavingsLedger().then(entries => {
+    const readded = entries.filter(entry =>
+      !entry.readdedAt && inCart.has(entry.key) && now - entry.removedAt <= SAVINGS_READD_WINDOW_MS
+    );
+    if (readded.length === 0) return entries;
+
+    console.log(`Cart Image Extractor: ${readded.length} skipped item(s) are back in the cart`);
+    readded.forEach(entry => { entry.readdedAt = now; });
+    return saveSavingsLedger(entries);
+  });
+}
+
+// Footer line for the panel, or null while nothing was skipped this month
+function createSavingsSummary(entries) {
+  const monthly = summarizeMonthlySavings(entries || []);
+  if (monthly.count === 0) return null;
+
+  const summary = document.createElement('div');
+  summary.className = 'savings-summary';
+  summary.textContent = `You've skipped ${formatSavingsTotals(monthly.totals)} this month`;
+  return summary;
+}
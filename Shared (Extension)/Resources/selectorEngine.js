@@ -0,0 +1,334 @@
+//
+//  selectorEngine.js
+//  SkipTheCart
+//
+
+/**
+ * Small selector engine for the jQuery-style selectors used in SITE_CONFIGS.
+ *
+ * document.querySelectorAll throws on selectors such as
+ * `dt span:contains("Size") ~ dd`, so every lookup that reads selectors from
+ * a site configuration goes through extendedQueryAll / extendedQuery instead.
+ *
+ * On top of plain CSS it supports:
+ *   - :contains("text")   Element text includes "text" (case-sensitive)
+ *   - :icontains("text")  Element text includes "text" (case-insensitive)
+ *   - :equals("text")     Element text is exactly "text", ignoring surrounding
+ *                         and repeated whitespace (case-sensitive)
+ *   - :iequals("text")    The same, case-insensitive; for labels that are a
+ *                         substring of other labels ("Total" and "Subtotal")
+ *   - :has(selector)      When the inner selector uses one of the above
+ *   - Label → value lookups: a `+` or `~` combinator after a text match first
+ *     looks at the matched element's own siblings and then climbs its
+ *     ancestors, so `dt span:contains("Size") ~ dd` finds the <dd> next to
+ *     the <dt> that holds the "Size" label.
+ *
+ * Invalid selectors never throw; they simply match nothing. In a selector
+ * list each alternative stands alone, so one invalid alternative does not
+ * hide the matches of the others.
+ */
+
+const TEXT_PSEUDO_PATTERN = /^:(contains|icontains|equals|iequals|has)\(/;
+
+// Selectors already reported as invalid, so each is only logged once
+const reportedInvalidSelectors = new Set();
+
+// Query all elements matching `selector` under `root`, never throwing
+function extendedQueryAll(root, selector) {
+  if (!root || !selector) return [];
+
+  const results = [];
+  for (const part of splitSelectorList(selector)) {
+    try {
+      results.push(...queryAllSingle(root, part));
+    } catch (error) {
+      reportInvalidSelector(part, error);
+    }
+  }
+  return sortInDocumentOrder(results);
+}
+
+// Query the first element matching `selector` under `root`, or null
+function extendedQuery(root, selector) {
+  const results = extendedQueryAll(root, selector);
+  return results.length > 0 ? results[0] : null;
+}
+
+// Return the first non-empty result for a list of fallback selectors
+function extendedQueryFirstMatch(root, selectors) {
+  for (const selector of selectors) {
+    const results = extendedQueryAll(root, selector);
+    if (results.length > 0) {
+      return { elements: results, selector };
+    }
+  }
+  return { elements: [], selector: '' };
+}
+
+function queryAllSingle(root, selector) {
+  const pseudo = findTextPseudo(selector);
+  if (!pseudo) {
+    return nativeQueryAll(root, selector);
+  }
+
+  // Everything before the pseudo-class selects the candidates natively
+  let prefix = selector.slice(0, pseudo.start);
+  if (prefix.trim() === '' || /[\s>+~]$/.test(prefix)) {
+    prefix += '*';
+  }
+
+  const candidates = nativeQueryAll(root, prefix).filter(el => matchesTextPseudo(el, pseudo));
+  return applyRemainder(root, candidates, selector.slice(pseudo.end));
+}
+
+// Continue a selector from a set of already matched elements
+function applyRemainder(root, matches, remainder) {
+  const trimmed = remainder.trimStart();
+  if (trimmed === '' || matches.length === 0) {
+    return matches;
+  }
+
+  const hadWhitespace = trimmed.length !== remainder.length;
+  let combinator = '';
+  let rest = trimmed;
+
+  if ('>+~'.includes(trimmed[0])) {
+    combinator = trimmed[0];
+    rest = trimmed.slice(1).trim();
+  } else if (hadWhitespace) {
+    combinator = ' ';
+  }
+
+  // Descendant and child combinators: query below each match
+  if (combinator === ' ' || combinator === '>') {
+    const scoped = combinator === '>' ? `:scope > ${rest}` : rest;
+    return matches.flatMap(match => queryAllSingle(match, scoped));
+  }
+
+  const [compound, tail] = splitLeadingCompound(rest);
+
+  // Compound continuation, e.g. `:contains("Size"):not(.hidden)`
+  if (combinator === '') {
+    const filtered = matches.filter(match => matchesCompound(match, compound));
+    return applyRemainder(root, filtered, tail);
+  }
+
+  // Sibling combinators double as label → value lookups
+  const siblings = [];
+  for (const match of matches) {
+    for (let anchor = match; anchor && anchor !== root; anchor = anchor.parentElement) {
+      const found = followingSiblings(anchor, combinator === '+')
+        .filter(sibling => matchesCompound(sibling, compound));
+      if (found.length > 0) {
+        siblings.push(...found);
+        break;
+      }
+    }
+  }
+  return applyRemainder(root, siblings, tail);
+}
+
+function followingSiblings(element, adjacentOnly) {
+  const siblings = [];
+  let sibling = element.nextElementSibling;
+  while (sibling) {
+    siblings.push(sibling);
+    if (adjacentOnly) break;
+    sibling = sibling.nextElementSibling;
+  }
+  return siblings;
+}
+
+// Test a single compound selector (no combinators) against an element
+function matchesCompound(element, compound) {
+  const pseudo = findTextPseudo(compound);
+  if (!pseudo) {
+    return nativeMatches(element, compound);
+  }
+
+  const before = compound.slice(0, pseudo.start);
+  const after = compound.slice(pseudo.end);
+  return (before === '' || nativeMatches(element, before)) &&
+    matchesTextPseudo(element, pseudo) &&
+    (after === '' || matchesCompound(element, after));
+}
+
+function matchesTextPseudo(element, pseudo) {
+  const text = element.textContent || '';
+
+  switch (pseudo.name) {
+    case 'contains':
+      return text.includes(pseudo.argument);
+    case 'icontains':
+      return text.toLowerCase().includes(pseudo.argument.toLowerCase());
+    case 'equals':
+      return collapseWhitespace(text) === collapseWhitespace(pseudo.argument);
+    case 'iequals':
+      return collapseWhitespace(text).toLowerCase() === collapseWhitespace(pseudo.argument).toLowerCase();
+    case 'has': {
+      const inner = /^[>+~]/.test(pseudo.argument) ? `:scope ${pseudo.argument}` : pseudo.argument;
+      return extendedQueryAll(element, inner).length > 0;
+    }
+    default:
+      return false;
+  }
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Locate the first top-level text pseudo-class in a selector
+function findTextPseudo(selector) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < selector.length; i++) {
+    const ch = selector[i];
+
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === ':' && depth === 0) {
+      const match = TEXT_PSEUDO_PATTERN.exec(selector.slice(i));
+      if (!match) continue;
+
+      const openIndex = i + match[0].length - 1;
+      const closeIndex = findClosingParen(selector, openIndex);
+      const rawArgument = selector.slice(openIndex + 1, closeIndex);
+
+      // Native :has() is left alone unless it wraps a text pseudo-class
+      if (match[1] === 'has' && !findTextPseudo(rawArgument)) {
+        i = closeIndex;
+        continue;
+      }
+
+      return {
+        name: match[1],
+        argument: match[1] === 'has' ? rawArgument.trim() : unquote(rawArgument),
+        start: i,
+        end: closeIndex + 1
+      };
+    }
+  }
+
+  return null;
+}
+
+function findClosingParen(selector, openIndex) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = openIndex; i < selector.length; i++) {
+    const ch = selector[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  throw new Error(`Unbalanced parentheses in selector "${selector}"`);
+}
+
+// Split `a, b:contains("x, y")` into its top-level selectors
+function splitSelectorList(selector) {
+  return splitTopLevel(selector, ch => ch === ',')
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+// Split `dd span span` into ['dd', ' span span'] at the first top-level combinator
+function splitLeadingCompound(selector) {
+  const [compound] = splitTopLevel(selector, ch => /[\s>+~]/.test(ch));
+  return [compound, selector.slice(compound.length)];
+}
+
+function splitTopLevel(selector, isSeparator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < selector.length; i++) {
+    const ch = selector[i];
+
+    if (quote) {
+      if (ch === '\\') {
+        current += ch + (selector[i + 1] || '');
+        i++;
+        continue;
+      }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (depth === 0 && isSeparator(ch)) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+function unquote(value) {
+  const trimmed = value.trim();
+  const first = trimmed[0];
+  if ((first === '"' || first === "'") && trimmed[trimmed.length - 1] === first) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+function nativeQueryAll(root, selector) {
+  try {
+    return Array.from(root.querySelectorAll(selector));
+  } catch (error) {
+    reportInvalidSelector(selector, error);
+    return [];
+  }
+}
+
+function nativeMatches(element, selector) {
+  try {
+    return element.matches(selector);
+  } catch (error) {
+    reportInvalidSelector(selector, error);
+    return false;
+  }
+}
+
+function sortInDocumentOrder(elements) {
+  return Array.from(new Set(elements)).sort((a, b) => {
+    if (a === b) return 0;
+    return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  });
+}
+
+function reportInvalidSelector(selector, error) {
+  if (reportedInvalidSelectors.has(selector)) return;
+  reportedInvalidSelectors.add(selector);
+  console.warn(`Cart Image Extractor: Skipping invalid selector "${selector}": ${error.message}`);
+}
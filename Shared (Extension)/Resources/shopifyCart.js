@@ -0,0 +1,149 @@
+//
+//  shopifyCart.js
+//  SkipTheCart
+//
+
+/**
+ * Shopify cart adapter
+ * ====================
+ *
+ * Shopify storefronts expose the current cart as JSON at `/cart.js`. For sites
+ * whose SITE_CONFIGS entry sets `platform: 'shopify'` we read that instead of
+ * scraping the cart DOM, and map each line into the same product info shape
+ * the DOM processors return. The DOM processors remain the fallback whenever
+ * the request fails or the response is not a Shopify cart.
+ *
+ * mapShopifyCart() is a pure function of the parsed cart.js payload, so it can
+ * be exercised against saved cart.js responses without a browser
+ * (tests/shopifyCart.test.js).
+ */
+
+// usedSelector value passed to processCartItems for cart.js-sourced items
+const SHOPIFY_CART_SOURCE = 'shopify:cart.js';
+
+// Pending cart.js request, shared by callers that ask while one is in flight
+let pendingShopifyCartRequest = null;
+
+// Fetch the storefront's cart.js from the page origin
+function fetchShopifyCart(origin) {
+  if (pendingShopifyCartRequest) {
+    return pendingShopifyCartRequest;
+  }
+
+  const cartUrl = `${origin || window.location.origin}/cart.js`;
+  console.log(`Cart Image Extractor: Fetching Shopify cart from ${cartUrl}`);
+
+  pendingShopifyCartRequest = fetch(cartUrl, {
+    credentials: 'same-origin',
+    headers: { 'Accept': 'application/json' }
+  })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`cart.js responded with HTTP ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(cart => {
+      if (!cart || !Array.isArray(cart.items)) {
+        throw new Error('cart.js response is not a Shopify cart');
+      }
+      return cart;
+    })
+    .finally(() => {
+      pendingShopifyCartRequest = null;
+    });
+
+  return pendingShopifyCartRequest;
+}
+
+// Fetch and map the cart in one step
+function fetchShopifyCartItems(origin) {
+  const resolvedOrigin = origin || window.location.origin;
+  return fetchShopifyCart(resolvedOrigin).then(cart => mapShopifyCart(cart, resolvedOrigin));
+}
+
+// Set a line's quantity through /cart/change.js and resolve with the updated
+// cart. `lineKey` is the line item's key (or variant ID) from cart.js, or its
+// 1-based position in the cart as a number.
+function changeShopifyLineQuantity(lineKey, quantity, origin) {
+  const line = typeof lineKey === 'number' ? { line: lineKey } : { id: lineKey };
+  return fetch(`${origin || window.location.origin}/cart/change.js`, {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify(Object.assign(line, { quantity: quantity }))
+  })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`cart/change.js responded with HTTP ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(cart => {
+      if (!cart || !Array.isArray(cart.items)) {
+        throw new Error('cart/change.js response is not a Shopify cart');
+      }
+      return cart;
+    });
+}
+
+// Map a parsed cart.js payload into processor-shaped product info objects
+function mapShopifyCart(cart, origin) {
+  if (!cart || !Array.isArray(cart.items)) return [];
+  return cart.items.map((lineItem, index) => mapShopifyLineItem(lineItem, index, cart.currency, origin));
+}
+
+function mapShopifyLineItem(lineItem, index, currency, origin) {
+  const options = Array.isArray(lineItem.options_with_values)
+    ? lineItem.options_with_values.map(option => ({ name: option.name, value: option.value }))
+    : [];
+
+  // Shopify reports prices in the currency's minor unit (cents)
+  const priceCents = typeof lineItem.final_price === 'number' ? lineItem.final_price : lineItem.price;
+  const originalCents = typeof lineItem.original_price === 'number' && lineItem.original_price > priceCents
+    ? lineItem.original_price
+    : null;
+
+  return {
+    imageUrl: resolveShopifyUrl(lineItem.image || (lineItem.featured_image && lineItem.featured_image.url), origin),
+    productName: lineItem.product_title || lineItem.title || 'Product',
+    brand: lineItem.vendor || '',
+    price: formatShopifyPrice(priceCents, currency),
+    priceCents: priceCents,
+    currency: currency || '',
+    money: typeof priceCents === 'number'
+      ? buildMoney(priceCents / 100, currency, { originalPrice: originalCents !== null ? originalCents / 100 : null })
+      : null,
+    size: findShopifyOption(options, /^size$/i),
+    color: findShopifyOption(options, /^colou?r$/i),
+    options,
+    variantId: lineItem.variant_id || lineItem.id || null,
+    lineKey: lineItem.key || '',
+    sku: lineItem.sku || '',
+    quantity: lineItem.quantity || 1,
+    productUrl: resolveShopifyUrl(lineItem.url, origin),
+    source: SHOPIFY_CART_SOURCE
+  };
+}
+
+function findShopifyOption(options, namePattern) {
+  const option = options.find(opt => namePattern.test((opt.name || '').trim()));
+  return option ? String(option.value || '').trim() : '';
+}
+
+// cart.js returns protocol-relative CDN URLs and path-only product URLs
+function resolveShopifyUrl(url, origin) {
+  if (!url) return '';
+  if (url.startsWith('//')) return `https:${url}`;
+  if (!origin) return url;
+  try {
+    return new URL(url, origin).href;
+  } catch (error) {
+    return url;
+  }
+}
+
+function formatShopifyPrice(cents, currency) {
+  if (typeof cents !== 'number') return '';
+  return formatMoney(cents / 100, currency || 'USD');
+}
@@ -0,0 +1,131 @@
+//
+//  similarityScoring.js
+//  SkipTheCart
+//
+
+/**
+ * Wardrobe match scoring
+ * ======================
+ *
+ * Scores how similar a wardrobe item is to a cart item on a 0-1 scale. Each
+ * factor produces its own 0-1 score and the total is their weighted sum, so
+ * the panel can explain a match as well as rank it:
+ *
+ *   - category: wardrobe categoryName equals the cart item's wardrobe category,
+ *               scaled by how confident the classifier was
+ *   - color:    CIE76 ΔE between the cart color and the wardrobe colorLabel
+ *   - type:     item type keywords (subcategory, then taxonomy category)
+ *   - recency:  recently added wardrobe items weigh more
+ *   - visual:   photo similarity from imageSimilarity.js, once computed
+ *
+ * A factor that cannot be judged (unknown color, no dateAdded) scores 0.5.
+ * Until the visual score is known it is left out and the other weights are
+ * scaled up to sum to 1. Either way a category mismatch stays below the
+ * default threshold.
+ */
+
+const SIMILARITY_WEIGHTS = {
+  category: 0.45,
+  color: 0.2,
+  type: 0.1,
+  recency: 0.05,
+  visual: 0.2
+};
+
+// ΔE at which two colors count as unrelated
+const SIMILARITY_MAX_COLOR_DISTANCE = 60;
+
+// Days after which a wardrobe item's recency score has halved
+const SIMILARITY_RECENCY_HALF_LIFE_DAYS = 90;
+
+const SIMILARITY_UNKNOWN = 0.5;
+
+/**
+ * Score one wardrobe item against one cart item.
+ *
+ * @param {Object} cartItem      Cart state item (productName, color, classification, ...)
+ * @param {Object} wardrobeItem  Native wardrobe item (categoryName, colorLabel, dateAdded, ...)
+ * @param {?number} [visualScore] 0-1 photo similarity, omitted while unknown
+ * @returns {{score: number, factors: Object<string, {score: number, weight: number}>}}
+ */
+function scoreWardrobeMatch(cartItem, wardrobeItem, visualScore) {
+  try {
+    const factors = {
+      category: scoreCategoryFactor(cartItem, wardrobeItem),
+      color: scoreColorFactor(cartItem, wardrobeItem),
+      type: scoreTypeFactor(cartItem, wardrobeItem),
+      recency: scoreRecencyFactor(wardrobeItem)
+    };
+    if (typeof visualScore === 'number') {
+      factors.visual = visualScore;
+    }
+
+    const totalWeight = Object.keys(factors).reduce((total, name) => total + SIMILARITY_WEIGHTS[name], 0);
+    let score = 0;
+    Object.keys(factors).forEach(name => {
+      factors[name] = { score: roundScore(factors[name]), weight: roundScore(SIMILARITY_WEIGHTS[name] / totalWeight) };
+      score += factors[name].score * SIMILARITY_WEIGHTS[name] / totalWeight;
+    });
+
+    return { score: roundScore(score), factors: factors };
+  } catch (error) {
+    console.error("Error in scoreWardrobeMatch:", error);
+    return { score: 0, factors: {} };
+  }
+}
+
+/**
+ * Score every wardrobe item against a cart item, drop those below
+ * `threshold` and return the rest best first as { item, score, factors }.
+ * `visualScores` optionally maps wardrobe items to their photo similarity.
+ */
+function rankWardrobeMatches(cartItem, wardrobeItems, threshold, visualScores) {
+  return wardrobeItems
+    .map(item => Object.assign({ item: item }, scoreWardrobeMatch(cartItem, item, visualScores && visualScores.get(item))))
+    .filter(match => match.score >= (threshold || 0))
+    .sort((a, b) => b.score - a.score);
+}
+
+function scoreCategoryFactor(cartItem, wardrobeItem) {
+  if (!cartItem.category || !wardrobeItem.categoryName) return 0;
+  if (cartItem.category.toLowerCase() !== wardrobeCategoryKey(wardrobeItem.categoryName).toLowerCase()) return 0;
+
+  // A confident classification is a full match, a guess from the URL alone less so
+  const confidence = cartItem.classification ? cartItem.classification.confidence : 1;
+  return 0.5 + 0.5 * confidence;
+}
+
+function scoreColorFactor(cartItem, wardrobeItem) {
+  const distance = colorDistanceToLabel(cartItem.color, wardrobeItem.colorLabel);
+  if (distance === null) return SIMILARITY_UNKNOWN;
+  return 1 - Math.min(distance, SIMILARITY_MAX_COLOR_DISTANCE) / SIMILARITY_MAX_COLOR_DISTANCE;
+}
+
+// Wardrobe items only carry categoryName today; if they ever carry a name or
+// subcategory those keywords are compared first
+function scoreTypeFactor(cartItem, wardrobeItem) {
+  const classification = cartItem.classification;
+  if (!classification || !classification.category) return SIMILARITY_UNKNOWN;
+
+  const wardrobeText = [wardrobeItem.name, wardrobeItem.subcategory].filter(Boolean).join(' ');
+  if (wardrobeText) {
+    const wardrobeType = classifyProduct({ name: wardrobeText });
+    if (wardrobeType.subcategory && classification.subcategory) {
+      return wardrobeType.subcategory === classification.subcategory ? 1 : 0.3;
+    }
+  }
+
+  return taxonomyCategoriesForWardrobe(wardrobeItem.categoryName).includes(classification.category) ? 1 : 0;
+}
+
+function scoreRecencyFactor(wardrobeItem) {
+  const added = wardrobeItem.dateAdded ? new Date(wardrobeItem.dateAdded).getTime() : NaN;
+  if (isNaN(added)) return SIMILARITY_UNKNOWN;
+
+  const ageDays = Math.max(0, (Date.now() - added) / (24 * 60 * 60 * 1000));
+  return Math.pow(0.5, ageDays / SIMILARITY_RECENCY_HALF_LIFE_DAYS);
+}
+
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -5,9 +5,68 @@
 //  Created by Prafull Sharma on 5/30/25.
 //
 
+/**
+ * Every supported retailer is described by one entry below. Besides the
+ * cart selectors, each entry declares:
+ *   - name:      Human readable site name used in logs
+ *   - hostnames: Registrable domains the entry applies to (subdomains match too)
+ *   - processor: Function that turns one cart item element into product info
+ *   - readiness: Optional; when the cart counts as rendered (cartReadiness.js):
+ *                requiredSelectors (default: any cartDetection.domSelectors),
+ *                minItems, stableFor and maxWait in ms, and
+ *                fallbackContainers for items outside itemSelectors.container.
+ *                Only sites that differ from DEFAULT_CART_READINESS declare it
+ *   - platform:  Optional; 'shopify' reads the cart from /cart.js (shopifyCart.js)
+ *   - productPage: URL patterns (strings or RegExps) and optional selectors
+ *                for product detail pages (productPage.js)
+ *   - addToCartButton: Selectors for the site's Add to Bag button, used by the
+ *                product page widget and the mindful pause interceptor
+ *   - summarySelectors: Optional; selectors for the order summary amounts
+ *                (subtotal, discounts, shipping, tax, total) read by
+ *                cartSummary.js, which falls back to row labels
+ *   - variantUrlParams: Optional; product page URL parameters that preselect
+ *                a cart line's variant, mapped to the cart item field holding
+ *                the value (undoToast.js); Shopify sites default to
+ *                { variant: 'variantId' }
+ *   - cartDetection.checkoutPatterns: Optional; URL fragments that mark
+ *                checkout for the cooling-off gate (checkoutCoolingOff.js),
+ *                defaults to '/checkout' and '/checkouts/'
+ *   - cartDetection.orderConfirmationPatterns: Optional; URL fragments of the
+ *                order confirmation page, where the cart total is counted
+ *                against the monthly budget (budget.js); they must not match
+ *                account order history pages
+ *
+ * The registry at the bottom of this file resolves the active entry, so
+ * adding a retailer only means adding an entry here.
+ *
+ * NOTE: processors are referenced directly, so this file must load after
+ * content.js and itemProcessors.js (see manifest.json).
+ */
 const SITE_CONFIGS = {
   zara: {
     // Existing Zara configuration
+    name: 'Zara',
+    hostnames: ['zara.com'],
+    processor: processGenericItem,
+    productPage: {
+      urlPatterns: [/-p\d+\.html/],
+      selectors: {
+        name: ['.product-detail-info__header-name'],
+        price: ['.product-detail-info__price .money-amount__main'],
+        color: ['.product-color-extended-name']
+      }
+    },
+    addToCartButton: [
+      'button[data-qa-action="add-to-cart"]',
+      '.product-detail-cart-buttons__button'
+    ],
+    summarySelectors: {
+      subtotal: ['.shop-cart-summary__subtotal .money-amount__main'],
+      discounts: ['.shop-cart-summary__discount .money-amount__main'],
+      shipping: ['.shop-cart-summary__shipping .money-amount__main'],
+      tax: ['.shop-cart-summary__taxes .money-amount__main'],
+      total: ['.shop-cart-summary__total .money-amount__main', '[data-qa-id="shop-cart-total"] .money-amount__main']
+    },
     cartDetection: {
       urlPatterns: ['/shop/cart', '/cart', '/checkout'],
       domSelectors: [
@@ -65,6 +124,27 @@ const SITE_CONFIGS = {
   
   // H&M configuration
   hm: {
+    name: 'H&M',
+    hostnames: ['hm.com'],
+    processor: processHMItem,
+    productPage: {
+      urlPatterns: [/\/productpage\.\d+\.html/],
+      selectors: {
+        price: ['#product-price span'],
+        color: ['section:icontains("color") h3']
+      }
+    },
+    addToCartButton: [
+      'button[data-testid="add-to-cart-button"]',
+      'button:icontains("add to bag")'
+    ],
+    summarySelectors: {
+      subtotal: ['[data-testid="order-value"]', 'dt:iequals("order value") + dd'],
+      discounts: ['[data-testid="discount"]', 'dt:iequals("discount") + dd'],
+      shipping: ['[data-testid="delivery"]', 'dt:iequals("delivery") + dd'],
+      tax: ['dt:iequals("tax") + dd'],
+      total: ['[data-testid="total"]', 'dt:iequals("total") + dd']
+    },
     cartDetection: {
       urlPatterns: ['/en_us/cart', '/cart'],
       domSelectors: [
@@ -112,6 +192,26 @@ const SITE_CONFIGS = {
   },
   // Aritzia configuration
   aritzia: {
+    name: 'Aritzia',
+    hostnames: ['aritzia.com'],
+    processor: processAritziaItem,
+    productPage: {
+      urlPatterns: ['/product/'],
+      selectors: {
+        price: ['[data-testid="product-list-price-text"]']
+      }
+    },
+    addToCartButton: [
+      'button[data-testid="add-to-bag-button"]',
+      'button:icontains("add to bag")'
+    ],
+    summarySelectors: {
+      subtotal: ['[data-testid="order-summary-subtotal"]'],
+      discounts: ['[data-testid="order-summary-discount"]'],
+      shipping: ['[data-testid="order-summary-shipping"]'],
+      tax: ['[data-testid="order-summary-tax"]'],
+      total: ['[data-testid="order-summary-total"]']
+    },
     cartDetection: {
       urlPatterns: ['/us/en/cart', '/cart'],
       domSelectors: [
@@ -158,6 +258,39 @@ const SITE_CONFIGS = {
   
   // Abercrombie & Fitch configuration
   abercrombie: {
+    name: 'Abercrombie & Fitch',
+    hostnames: ['abercrombie.com'],
+    processor: processAbercrombieItem,
+    readiness: {
+      minItems: 1,
+      stableFor: 500,
+      maxWait: 15000, // Abercrombie renders the bag list late
+      fallbackContainers: [
+        '.product-template-item',
+        '[data-testid="bag-item"]',
+        'div.product-template',
+        'ul.shopping-bag-list-mfe li'
+      ]
+    },
+    productPage: {
+      urlPatterns: ['/shop/us/p/', '/p/'],
+      selectors: {
+        name: ['h1.product-title-component'],
+        price: ['.product-price-text']
+      }
+    },
+    addToCartButton: [
+      'button[data-testid="add-to-bag-button"]',
+      'button.add-to-bag',
+      'button:icontains("add to bag")'
+    ],
+    summarySelectors: {
+      subtotal: ['.order-summary .subtotal .value', '[data-testid="subtotal-value"]'],
+      discounts: ['.order-summary .promo-discount .value', '[data-testid="discount-value"]'],
+      shipping: ['.order-summary .shipping .value', '[data-testid="shipping-value"]'],
+      tax: ['.order-summary .tax .value', '[data-testid="tax-value"]'],
+      total: ['.order-summary .order-total .value', '[data-testid="order-total-value"]']
+    },
     cartDetection: {
       urlPatterns: ['/shop/OrderItemDisplayView', '/shop/bag', '/checkout'],
       domSelectors: [
@@ -212,6 +345,22 @@ const SITE_CONFIGS = {
   
   // Edikted configuration
   edikted: {
+    name: 'Edikted',
+    hostnames: ['edikted.com'],
+    processor: processGenericItem,
+    platform: 'shopify', // Cart is read from /cart.js, DOM selectors are the fallback
+    productPage: {
+      urlPatterns: ['/products/']
+    },
+    addToCartButton: [
+      'button[name="add"]',
+      'form[action*="/cart/add"] [type="submit"]'
+    ],
+    summarySelectors: {
+      subtotal: ['.totals__subtotal-value', '.cart__subtotal .money'],
+      discounts: ['.discounts__discount', '.cart__discount .money'],
+      total: ['.totals__total-value', '.cart__total .money']
+    },
     cartDetection: {
       urlPatterns: ['/cart', '/checkout'], // Covers main cart page and possible checkout variations
       domSelectors: [
@@ -269,6 +418,24 @@ const SITE_CONFIGS = {
   
   // Princess Polly configuration
   princessPolly: {
+    name: 'Princess Polly',
+    hostnames: ['princesspolly.com'],
+    processor: processPrincessPollyItem,
+    platform: 'shopify', // Cart is read from /cart.js, DOM selectors are the fallback
+    productPage: {
+      urlPatterns: ['/products/']
+    },
+    addToCartButton: [
+      'button[name="add"]',
+      'form[action*="/cart/add"] [type="submit"]'
+    ],
+    summarySelectors: {
+      subtotal: ['.order-summary__subtotal span[data-currency-conversion]'],
+      discounts: ['.order-summary__discount span[data-currency-conversion]'],
+      shipping: ['.order-summary__shipping span[data-currency-conversion]'],
+      tax: ['.order-summary__tax span[data-currency-conversion]'],
+      total: ['.order-summary__total span[data-currency-conversion]']
+    },
     cartDetection: {
       urlPatterns: ['/cart', '/checkout'],
       domSelectors: [
@@ -318,6 +485,28 @@ const SITE_CONFIGS = {
   },
     // Revolve configuration update
     revolve: {
+      name: 'Revolve',
+      hostnames: ['revolve.com'],
+      processor: processRevolveItem,
+      productPage: {
+        urlPatterns: ['/dp/'],
+        selectors: {
+          name: ['.product-name--lg'],
+          price: ['#retailPrice', '.price__retail'],
+          color: ['.selectedColor']
+        }
+      },
+      addToCartButton: [
+        '#addToBagButton',
+        'button.js-add-to-bag'
+      ],
+      summarySelectors: {
+        subtotal: ['#subtotal', '.js-subtotal'],
+        discounts: ['.js-discount-amount', '.shopping-bag__discount'],
+        shipping: ['#shipping', '.js-shipping-amount'],
+        tax: ['#tax', '.js-tax-amount'],
+        total: ['#orderTotal', '.js-order-total']
+      },
       cartDetection: {
         urlPatterns: ['/ShoppingBag.jsp', '/r/ShoppingBag.jsp', '/r/mobile/ShoppingBag.jsp', '/checkout'],
         domSelectors: [
@@ -368,6 +557,23 @@ const SITE_CONFIGS = {
   
   // OhPolly configuration
   ohpolly: {
+    name: 'OhPolly',
+    hostnames: ['ohpolly.com'],
+    processor: processOhPollyItem,
+    platform: 'shopify', // Cart is read from /cart.js, DOM selectors are the fallback
+    productPage: {
+      urlPatterns: ['/products/']
+    },
+    addToCartButton: [
+      'button[name="add"]',
+      'form[action*="/cart/add"] [type="submit"]'
+    ],
+    summarySelectors: {
+      subtotal: ['.crt-Summary_Subtotal', '[data-cart-subtotal]'],
+      discounts: ['.crt-Summary_Discount', '[data-cart-discount]'],
+      shipping: ['.crt-Summary_Shipping'],
+      total: ['.crt-Summary_Total', '[data-cart-total]']
+    },
     cartDetection: {
       urlPatterns: ['/cart', '/checkout', '/checkouts/', '/bag'],
       domSelectors: [
@@ -416,6 +622,25 @@ const SITE_CONFIGS = {
     }
   },
     fashionNova: {
+      name: 'Fashion Nova',
+      hostnames: ['fashionnova.com'],
+      processor: processFashionNovaItem,
+      productPage: {
+        urlPatterns: ['/products/']
+      },
+      addToCartButton: [
+        'button[data-testid="add-to-cart-button"]',
+        'button:icontains("add to bag")'
+      ],
+      // Hydrogen storefront: product links take Shopify's variant parameter
+      variantUrlParams: { variant: 'variantId' },
+      summarySelectors: {
+        subtotal: ['[data-testid="cart-subtotal"]'],
+        discounts: ['[data-testid="cart-discount"]'],
+        shipping: ['[data-testid="cart-shipping"]'],
+        tax: ['[data-testid="cart-tax"]'],
+        total: ['[data-testid="cart-total"]']
+      },
       cartDetection: {
         urlPatterns: ['/cart', '/checkout'],
           domSelectors: [
@@ -464,6 +689,24 @@ const SITE_CONFIGS = {
       }
     },
     urbanOutfitters: {
+      name: 'Urban Outfitters',
+      hostnames: ['urbanoutfitters.com'],
+      processor: processUrbanOutfittersItem,
+      productPage: {
+        urlPatterns: ['/products/']
+      },
+      addToCartButton: [
+        'button[data-qa-add-to-bag]',
+        'button.c-pwa-add-to-cart',
+        'button:icontains("add to bag")'
+      ],
+      summarySelectors: {
+        subtotal: ['[data-qa-order-summary-subtotal]', '.c-pwa-order-summary__subtotal .c-pwa-order-summary__value'],
+        discounts: ['[data-qa-order-summary-discount]', '.c-pwa-order-summary__discount .c-pwa-order-summary__value'],
+        shipping: ['[data-qa-order-summary-shipping]', '.c-pwa-order-summary__shipping .c-pwa-order-summary__value'],
+        tax: ['[data-qa-order-summary-tax]', '.c-pwa-order-summary__tax .c-pwa-order-summary__value'],
+        total: ['[data-qa-order-summary-total]', '.c-pwa-order-summary__total .c-pwa-order-summary__value']
+      },
       cartDetection: {
         urlPatterns: ['/cart', '/checkout'],
         domSelectors: [
@@ -514,6 +757,22 @@ const SITE_CONFIGS = {
       }
     },
     brandyMelville: {
+      name: 'Brandy Melville',
+      hostnames: ['brandymelville.com'],
+      processor: processBrandyMelvilleItem,
+      platform: 'shopify', // Cart is read from /cart.js, DOM selectors are the fallback
+      productPage: {
+        urlPatterns: ['/products/']
+      },
+      addToCartButton: [
+        'button[name="add"]',
+        'form[action*="/cart/add"] [type="submit"]'
+      ],
+      summarySelectors: {
+        subtotal: ['.totals__subtotal-value'],
+        discounts: ['.discounts__discount'],
+        total: ['.totals__total-value']
+      },
       cartDetection: {
         urlPatterns: ['/cart', '/checkout'],
         domSelectors: [
@@ -563,7 +822,97 @@ const SITE_CONFIGS = {
             '.cart-item__quantity a[href*="quantity=0"]'
         ]
       }
+    },
+    tigerMist: {
+      name: 'Tiger Mist',
+      hostnames: ['tigermist.com'],
+      processor: processGenericItem,
+      platform: 'shopify', // Cart is read from /cart.js, DOM selectors are the fallback
+      productPage: {
+        urlPatterns: ['/products/']
+      },
+      addToCartButton: [
+        'button[name="add"]',
+        'form[action*="/cart/add"] [type="submit"]'
+      ],
+      summarySelectors: {
+        subtotal: ['.totals__subtotal-value'],
+        discounts: ['.discounts__discount', '.cart-discount'],
+        total: ['.totals__total-value']
+      },
+      cartDetection: {
+        urlPatterns: ['/cart', '/checkout', '/checkouts/'],
+        domSelectors: [
+          'cart-items',
+          '.cart-items',
+          '.cart-item',
+          '[id^="CartItem-"]',
+          'form[action="/cart"]'
+        ],
+        textIndicators: ['shopping cart', 'cart', 'bag', 'checkout']
+      },
+      itemSelectors: {
+        container: [
+          '.cart-item',
+          'tr.cart-item',
+          '[id^="CartItem-"]'
+        ],
+        image: [
+          '.cart-item__image',
+          '.cart-item__media img',
+          'img[src*="/products/"]'
+        ],
+        name: [
+          '.cart-item__name',
+          'a.cart-item__name',
+          '.cart-item__details a'
+        ],
+        price: [
+          '.cart-item__price-wrapper .price',
+          '.price.price--end',
+          '.cart-item__final-price'
+        ],
+        size: [
+          '.product-option dt:contains("Size") + dd',
+          '.product-option:icontains("size") dd'
+        ],
+        color: [
+          '.product-option dt:contains("Colour") + dd',
+          '.product-option dt:contains("Color") + dd',
+          '.product-option:icontains("colo") dd'
+        ],
+        deleteButton: [
+          'cart-remove-button a',
+          'a[href*="/cart/change"][href*="quantity=0"]',
+          'a[aria-label^="Remove"]'
+        ]
+      }
     }
   };
 
+// ==============================================
+// SITE REGISTRY
+// ==============================================
+
+// Tag each entry with its key so callers can tell sites apart without
+// comparing hostnames again
+Object.keys(SITE_CONFIGS).forEach(key => {
+  SITE_CONFIGS[key].key = key;
+});
 
+// True when hostname is the pattern itself or one of its subdomains
+// ('hm.com' matches www2.hm.com but not ohm.com)
+function hostnameMatchesPattern(hostname, pattern) {
+  return hostname === pattern || hostname.endsWith('.' + pattern);
+}
+
+// Resolve the site configuration for a hostname, or null if unsupported
+function resolveSiteConfig(hostname) {
+  for (const key of Object.keys(SITE_CONFIGS)) {
+    const config = SITE_CONFIGS[key];
+    if (config.hostnames.some(pattern => hostnameMatchesPattern(hostname, pattern))) {
+      return config;
+    }
+  }
+  return null;
+}
@@ -39,6 +39,7 @@ function createToggleButton() {
             if (panel) {
               panel.classList.remove('hidden');
               toggleBtn.style.display = 'none'; // Hide button when panel is open
+              resumeCartWatching();
             }
         });
                   
@@ -107,6 +108,19 @@ function createBottomPanel() {
         padding: 0;
       }
       
+      /* Checkout total in the header */
+      .panel-total {
+        margin-left: auto;
+        margin-right: 12px;
+        font-size: 14px;
+        font-weight: 600;
+      }
+      
+      .panel-total-mismatch {
+        color: #ffcc66;
+        cursor: help;
+      }
+      
       /* Navigation bar with item counter */
       .panel-nav {
         background-color: #f1f1f1;
@@ -122,6 +136,91 @@ function createBottomPanel() {
         color: #555;
       }
       
+      /* Monthly budget bar */
+      .budget-bar {
+        padding: 10px 16px;
+        border-bottom: 1px solid #eaeaea;
+        font-size: 13px;
+        color: #333;
+      }
+      
+      .budget-bar-summary {
+        font-weight: 600;
+        margin-bottom: 6px;
+      }
+      
+      .budget-bar-track {
+        display: flex;
+        height: 8px;
+        border-radius: 4px;
+        background-color: #eee;
+        overflow: hidden;
+      }
+      
+      .budget-bar-spent {
+        background-color: #888;
+      }
+      
+      .budget-bar-cart {
+        background-color: #2e7d32;
+      }
+      
+      .budget-bar-warning .budget-bar-cart {
+        background-color: #f2a93b;
+      }
+      
+      .budget-bar-over .budget-bar-cart {
+        background-color: #d32f2f;
+      }
+      
+      .budget-bar-over .budget-bar-track {
+        background-color: #d32f2f;
+      }
+      
+      .budget-bar-over .budget-bar-summary {
+        color: #d32f2f;
+      }
+      
+      .budget-bar-legend {
+        display: flex;
+        justify-content: space-between;
+        margin-top: 4px;
+        color: #666;
+        font-size: 12px;
+      }
+      
+      .budget-bar-edit {
+        background: none;
+        border: none;
+        padding: 0;
+        color: #666;
+        text-decoration: underline;
+        cursor: pointer;
+        font-size: 12px;
+      }
+      
+      .budget-bar-form {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+      }
+      
+      .budget-bar-input {
+        width: 80px;
+        padding: 4px;
+        margin-left: 4px;
+      }
+      
+      .budget-bar-save {
+        padding: 4px 12px;
+        border: 1px solid black;
+        background-color: black;
+        color: white;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+      
       /* Main content area */
       .image-container {
         flex: 1;
@@ -308,6 +407,14 @@ function createBottomPanel() {
         margin-bottom: 12px;
       }
       
+      .savings-summary {
+        text-align: center;
+        font-size: 14px;
+        font-weight: 600;
+        color: #2e7d32;
+        margin-bottom: 12px;
+      }
+      
       /* Buttons */
       .footer-button {
         width: 100%;
@@ -376,6 +483,177 @@ function createBottomPanel() {
         background-color: rgba(244, 67, 54, 0.1);
       }
       
+      .item-delete-button:disabled {
+        opacity: 0.6;
+        cursor: default;
+      }
+      
+      /* Outcome of "Skip this item" */
+      .removal-status {
+        margin: 12px 16px 0;
+        padding: 8px 12px;
+        border-radius: 4px;
+        font-size: 14px;
+      }
+      
+      .removal-status-success {
+        background-color: #e8f5e9;
+        color: #2e7d32;
+      }
+      
+      .removal-status-error {
+        background-color: #fdecea;
+        color: #c62828;
+      }
+      
+      /* "Maybe later" next to "Skip this item" */
+      .item-later-button {
+        margin-top: 16px;
+        margin-left: 8px;
+        padding: 8px 12px;
+        background-color: transparent;
+        color: #555;
+        border: 1px solid #bbb;
+        border-radius: 4px;
+        font-size: 14px;
+        cursor: pointer;
+      }
+      
+      .item-later-button:disabled {
+        opacity: 0.6;
+        cursor: default;
+      }
+      
+      .maybe-later-toggle {
+        width: 100%;
+        margin-bottom: 8px;
+        padding: 8px;
+        background: none;
+        border: none;
+        color: #555;
+        font-size: 14px;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+      
+      /* Maybe later list (shared with popup.html) */
+      .maybe-later-section {
+        padding: 0 16px 16px;
+      }
+      
+      .maybe-later-empty {
+        color: #777;
+        font-size: 14px;
+      }
+      
+      .maybe-later-suggestion {
+        margin-bottom: 8px;
+        padding: 8px 12px;
+        background-color: #fff8e1;
+        border-radius: 4px;
+        font-size: 13px;
+        color: #8d6e00;
+      }
+      
+      .maybe-later-clear {
+        background: none;
+        border: none;
+        padding: 0;
+        color: #c62828;
+        font-size: 13px;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+      
+      .maybe-later-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+      
+      .maybe-later-item {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 8px 0;
+        border-bottom: 1px solid #eee;
+      }
+      
+      .maybe-later-image {
+        width: 48px;
+        height: 60px;
+        object-fit: cover;
+        border-radius: 4px;
+      }
+      
+      .maybe-later-details {
+        flex: 1;
+        min-width: 0;
+        font-size: 13px;
+      }
+      
+      .maybe-later-name {
+        font-weight: 600;
+      }
+      
+      .maybe-later-specs,
+      .maybe-later-waited {
+        color: #777;
+        font-size: 12px;
+      }
+      
+      .maybe-later-stale .maybe-later-waited {
+        color: #c62828;
+      }
+      
+      .maybe-later-actions button {
+        display: block;
+        width: 64px;
+        margin-bottom: 4px;
+        padding: 4px 0;
+        background-color: transparent;
+        border: 1px solid #bbb;
+        border-radius: 4px;
+        font-size: 12px;
+        cursor: pointer;
+      }
+      
+      /* Undo offer after skipping an item; lives outside the panel */
+      .undo-toast {
+        position: fixed;
+        left: 50%;
+        bottom: 24px;
+        transform: translateX(-50%);
+        z-index: 2147483647;
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        max-width: calc(100% - 32px);
+        padding: 12px 16px;
+        background-color: #323232;
+        color: #fff;
+        border-radius: 4px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        font-family: -apple-system, BlinkMacSystemFont, "Helvetica Neue", sans-serif;
+        font-size: 14px;
+      }
+      
+      .undo-toast-message {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      
+      .undo-toast-button {
+        flex-shrink: 0;
+        background: none;
+        border: none;
+        color: #ffcc80;
+        font-size: 14px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+      
       /* Panel message style */
       .panel-message {
         padding: 32px 16px;
@@ -383,6 +661,115 @@ function createBottomPanel() {
         color: #777;
         font-size: 16px;
       }
+      
+      /* Duplicate-purchase warning */
+      .duplicate-warning {
+        margin: 12px 16px 0;
+        padding: 12px 16px;
+        border-radius: 8px;
+        border: 1px solid #f0c36d;
+        background-color: #fff8e5;
+        color: #5c4400;
+      }
+      
+      .duplicate-warning-firm {
+        border-color: #e57373;
+        background-color: #fdecea;
+        color: #7f1d1d;
+      }
+      
+      .duplicate-warning-title {
+        font-weight: bold;
+        font-size: 16px;
+        margin-bottom: 4px;
+      }
+      
+      .duplicate-warning-message {
+        font-size: 14px;
+        margin-bottom: 8px;
+      }
+      
+      .duplicate-warning-items {
+        display: flex;
+        gap: 6px;
+        align-items: center;
+        overflow-x: auto;
+      }
+      
+      .duplicate-warning-thumb {
+        width: 48px;
+        height: 56px;
+        object-fit: contain;
+        background-color: white;
+        border-radius: 4px;
+        flex-shrink: 0;
+      }
+      
+      .duplicate-warning-more {
+        font-size: 13px;
+        font-weight: bold;
+      }
+      
+      /* "Goes With" outfit pairings */
+      .goes-with-section {
+        margin-top: 24px;
+        width: 100%;
+      }
+      
+      .goes-with-summary {
+        font-size: 14px;
+        color: #666;
+        margin-bottom: 8px;
+      }
+      
+      .goes-with-items {
+        display: flex;
+        gap: 8px;
+        overflow-x: auto;
+      }
+      
+      .goes-with-thumb {
+        width: 64px;
+        height: 76px;
+        object-fit: contain;
+        background-color: #f9f9f9;
+        border-radius: 4px;
+        flex-shrink: 0;
+      }
+      
+      /* Cost-per-wear estimate */
+      .cost-per-wear {
+        margin-top: 12px;
+        padding: 12px;
+        border-radius: 8px;
+        background-color: #f6f6f6;
+        text-align: center;
+      }
+      
+      .cost-per-wear-value {
+        font-size: 18px;
+        font-weight: bold;
+      }
+      
+      .cost-per-wear-explanation {
+        font-size: 12px;
+        color: #777;
+        margin: 4px 0 8px;
+      }
+      
+      .cost-per-wear-input-label {
+        font-size: 13px;
+        color: #333;
+      }
+      
+      .cost-per-wear-input {
+        width: 56px;
+        padding: 4px;
+        border: 1px solid #ccc;
+        border-radius: 4px;
+        font-size: 13px;
+        text-align: center;
+      }
     `;
     document.head.appendChild(style);
     
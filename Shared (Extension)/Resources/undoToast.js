@@ -0,0 +1,118 @@
+//
+//  undoToast.js
+//  SkipTheCart
+//
+
+/**
+ * Undo toast
+ * ==========
+ *
+ * After an item is skipped through the panel, a toast offers to undo it for
+ * UNDO_TOAST_DURATION_MS. Undoing opens the item's product page with the
+ * same variant preselected where the retailer's URLs allow it, so the
+ * shopper can add it back without searching for it again.
+ *
+ * Sites list the URL parameters in `variantUrlParams`, mapping each
+ * parameter to the cart item field holding its value (`variant` → variantId
+ * on Shopify). Shopify sites default to SHOPIFY_VARIANT_URL_PARAMS. Sites
+ * whose cart links already point at the variant need none: Zara's carry it
+ * as `v1` and H&M's product path is the article itself.
+ *
+ * The toast lives on document.body rather than in the panel, and
+ * restoreUndoToast (called from handleURLChange) puts it back if the site
+ * re-renders the page during SPA navigation.
+ */
+
+const UNDO_TOAST_DURATION_MS = 30000;
+
+const SHOPIFY_VARIANT_URL_PARAMS = { variant: 'variantId' };
+
+// { element, expiresAt, countdown } while a toast is showing
+let activeUndoToast = null;
+
+// Product page URL with the item's variant preselected, or null without one
+function buildUndoUrl(cartItem) {
+  if (!cartItem.productUrl) return null;
+
+  const url = new URL(cartItem.productUrl, window.location.origin);
+  const params = currentSiteConfig.variantUrlParams ||
+    (currentSiteConfig.platform === 'shopify' ? SHOPIFY_VARIANT_URL_PARAMS : {});
+  Object.keys(params).forEach(param => {
+    const value = cartItem[params[param]];
+    if (value) {
+      url.searchParams.set(param, value);
+    }
+  });
+  return url.href;
+}
+
+/**
+ * Offer to undo skipping `cartItem`, replacing any earlier toast.
+ * `onUndo` runs before the product page opens.
+ */
+function showUndoToast(cartItem, onUndo) {
+  try {
+    const undoUrl = buildUndoUrl(cartItem);
+    if (!undoUrl) {
+      console.log("Cart Image Extractor: No product URL, not offering undo");
+      return;
+    }
+
+    dismissUndoToast();
+
+    const toast = document.createElement('div');
+    toast.className = 'undo-toast';
+    toast.setAttribute('role', 'status');
+    const message = document.createElement('span');
+    message.className = 'undo-toast-message';
+    message.textContent = `Skipped "${cartItem.productName || 'this item'}".`;
+    const undoButton = document.createElement('button');
+    undoButton.className = 'undo-toast-button';
+    undoButton.addEventListener('click', function() {
+      dismissUndoToast();
+      if (onUndo) onUndo();
+      console.log("Cart Image Extractor: Undoing skip, opening", undoUrl);
+      window.location.assign(undoUrl);
+    });
+    toast.appendChild(message);
+    toast.appendChild(undoButton);
+
+    const expiresAt = Date.now() + UNDO_TOAST_DURATION_MS;
+    const tick = () => {
+      const secondsLeft = Math.ceil((expiresAt - Date.now()) / 1000);
+      if (secondsLeft <= 0) {
+        dismissUndoToast();
+        return;
+      }
+      undoButton.textContent = `Undo (${secondsLeft}s)`;
+      restoreUndoToast();
+    };
+
+    // The offer outlives route changes, so its countdown belongs to the page
+    activeUndoToast = { element: toast, expiresAt: expiresAt, countdown: trackedInterval(PAGE_SCOPE, tick, 1000) };
+    document.body.appendChild(toast);
+    tick();
+  } catch (error) {
+    showDebugOverlay("ERROR in showUndoToast: " + error.message);
+    console.error("Error in showUndoToast:", error);
+  }
+}
+
+// Re-attach the toast if page re-rendering removed it
+function restoreUndoToast() {
+  if (!activeUndoToast) return;
+  if (Date.now() >= activeUndoToast.expiresAt) {
+    dismissUndoToast();
+    return;
+  }
+  if (!activeUndoToast.element.isConnected) {
+    document.body.appendChild(activeUndoToast.element);
+  }
+}
+
+function dismissUndoToast() {
+  if (!activeUndoToast) return;
+  activeUndoToast.countdown.dispose();
+  activeUndoToast.element.remove();
+  activeUndoToast = null;
+}
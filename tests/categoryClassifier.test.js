@@ -0,0 +1,83 @@
+//
+//  categoryClassifier.test.js
+//  SkipTheCart
+//
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadExtensionScripts, plain } = require('./helpers/loadExtensionScripts');
+
+const extension = loadExtensionScripts(['categoryClassifier.js']);
+const classifyProduct = extension('classifyProduct');
+const taxonomyCategoriesForWardrobe = extension('taxonomyCategoriesForWardrobe');
+
+// [input, category, subcategory, wardrobeCategory]
+const CLASSIFICATION_CASES = [
+  // The keyword that ends last names the product
+  [{ name: 'Shirt Dress' }, 'dresses', null, 'Dresses'],
+  [{ name: 'Dress Shirt' }, 'tops', 'shirts', 'Tops'],
+  // On a tie the longer keyword wins
+  [{ name: 'Bikini Top' }, 'swimwear', 'bikinis', null],
+  // A generic head noun takes the earlier, specific subcategory
+  [{ name: 'Corset Top in Mocha' }, 'tops', 'corsets', 'Tops'],
+  // Qualifiers after "with" and "in" are ignored
+  [{ name: 'Mini Skirt with Belt' }, 'bottoms', 'skirts', 'Skirts'],
+  [{ name: 'Mini Dress With Belt' }, 'dresses', 'mini dresses', 'Dresses'],
+  [{ name: 'Relaxed Fit Tee' }, 'tops', 't-shirts', 'Tops'],
+  [{ name: 'High Rise Straight Jeans' }, 'bottoms', 'jeans', 'Bottoms'],
+  [{ name: 'Ribbed Cardigan' }, 'knitwear', 'cardigans', 'Tops'],
+  [{ name: 'Wool Blend Trench Coat' }, 'outerwear', 'coats', 'Coats'],
+  [{ name: 'Leather Ankle Boots' }, 'shoes', 'boots', 'Shoes'],
+  [{ name: 'Mini Shoulder Bag' }, 'bags', 'shoulder bags', null],
+  [{ name: 'Gold Hoop Earrings' }, 'accessories', 'jewelry', null],
+  // Retailer vocabulary
+  [{ name: 'Oversized Jumper', retailer: 'hm' }, 'knitwear', 'sweaters', 'Tops'],
+  [{ name: 'Oversized Jumper' }, null, null, null],
+  [{ name: 'The Super Puff Shorty', retailer: 'aritzia' }, 'outerwear', 'puffers', 'Coats'],
+  // Breadcrumbs, as a string or as crumbs; the deepest crumb wins
+  [{ name: 'The Everyday', breadcrumb: 'Women > Clothing > Dresses' }, 'dresses', null, 'Dresses'],
+  [{ name: 'Nova Essential', breadcrumb: ['Women', 'Tops', 'Bodysuits'] }, 'tops', 'bodysuits', 'Tops'],
+  // URL slug, without the product id
+  [{ name: 'Sofia', url: 'https://www.fashionnova.com/products/sofia-wide-leg-trouser-1234567' }, 'bottoms', 'trousers', 'Bottoms'],
+  // The name outweighs a disagreeing breadcrumb
+  [{ name: 'Linen Shirt', breadcrumb: 'Women > Dresses' }, 'tops', 'shirts', 'Tops'],
+  [{ name: 'Mystery Item' }, null, null, null],
+  [{}, null, null, null]
+];
+
+CLASSIFICATION_CASES.forEach(([input, category, subcategory, wardrobeCategory]) => {
+  test(`classifyProduct(${JSON.stringify(input)})`, () => {
+    const result = plain(classifyProduct(input));
+    assert.strictEqual(result.category, category);
+    assert.strictEqual(result.subcategory, subcategory);
+    assert.strictEqual(result.wardrobeCategory, wardrobeCategory);
+  });
+});
+
+test('confidence rises when signals agree and falls when they disagree', () => {
+  const nameOnly = classifyProduct({ name: 'Linen Shirt' }).confidence;
+  const agreeing = classifyProduct({ name: 'Linen Shirt', breadcrumb: 'Women > Tops > Shirts' }).confidence;
+  const disagreeing = classifyProduct({ name: 'Linen Shirt', breadcrumb: 'Women > Dresses' }).confidence;
+
+  assert.ok(agreeing > nameOnly, `${agreeing} > ${nameOnly}`);
+  assert.ok(disagreeing < nameOnly, `${disagreeing} < ${nameOnly}`);
+  assert.strictEqual(classifyProduct({ name: 'Mystery Item' }).confidence, 0);
+});
+
+// [wardrobe categoryName, taxonomy categories]
+const WARDROBE_CASES = [
+  ['Tops', ['tops', 'knitwear']],
+  ['Bottoms', ['bottoms']],
+  ['Skirts', ['bottoms']],
+  ['Dresses', ['dresses']],
+  ['Coats', ['outerwear']],
+  ['Left Shoes', ['shoes']],
+  ['Right Shoes', ['shoes']],
+  ['Bags', []]
+];
+
+WARDROBE_CASES.forEach(([categoryName, categories]) => {
+  test(`taxonomyCategoriesForWardrobe('${categoryName}')`, () => {
+    assert.deepStrictEqual(plain(taxonomyCategoriesForWardrobe(categoryName)), categories);
+  });
+});
@@ -0,0 +1,50 @@
+//
+//  loadExtensionScripts.js
+//  SkipTheCart
+//
+
+/**
+ * The extension's content scripts are plain scripts that share globals, in
+ * the order manifest.json lists them. This loads the given scripts the same
+ * way, into one VM context, so tests can call their functions without a
+ * browser.
+ *
+ * Values created inside the context come from another realm, so compare
+ * them field by field or through plain() rather than with deepStrictEqual
+ * directly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const RESOURCES_DIR = path.join(__dirname, '..', '..', 'Shared (Extension)', 'Resources');
+
+/**
+ * @param {string[]} files    Script names in Resources, in load order
+ * @param {Object} [globals]  Extra globals, e.g. a `window` stub
+ * @returns {function(string): *} evaluates an expression in the context
+ */
+function loadExtensionScripts(files, globals) {
+  const context = vm.createContext(Object.assign({
+    console: console,
+    URL: URL,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    window: { location: new URL('https://example.com/') }
+  }, globals));
+
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(RESOURCES_DIR, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+
+  return expression => vm.runInContext(expression, context);
+}
+
+// A copy of a context value made of this realm's objects and arrays
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadExtensionScripts, plain };
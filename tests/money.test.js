@@ -0,0 +1,81 @@
+//
+//  money.test.js
+//  SkipTheCart
+//
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadExtensionScripts, plain } = require('./helpers/loadExtensionScripts');
+
+const extension = loadExtensionScripts(['money.js']);
+const parseMoney = extension('parseMoney');
+
+// [text, amount, currency]
+const AMOUNT_CASES = [
+  ['$1,234.56', 1234.56, 'USD'],
+  ['1.234,56 €', 1234.56, 'EUR'],
+  ['49,90 €', 49.9, 'EUR'],
+  ['£12.5', 12.5, 'GBP'],
+  ["CHF 1'234.50", 1234.5, 'CHF'],
+  ['CA$ 45.00', 45, 'CAD'],
+  ['299 kr', 299, 'SEK'],
+  ['EUR 20', 20, 'EUR'],
+  // A number next to a currency marker wins over quantities and sizes
+  ['Qty 2 $49.99', 49.99, 'USD'],
+  ['Size 8 - 39,95 EUR', 39.95, 'EUR'],
+  ['2 for $30', 30, 'USD'],
+  // Without any marker the first number is the price
+  ['24.00', 24, null],
+  // Spaces do not group thousands
+  ['Qty 2 300', 2, null]
+];
+
+AMOUNT_CASES.forEach(([text, amount, currency]) => {
+  test(`parseMoney('${text}')`, () => {
+    const money = plain(parseMoney(text));
+    assert.strictEqual(money.amount, amount);
+    assert.strictEqual(money.currency, currency);
+  });
+});
+
+test('reads a range and keeps its low end as the amount', () => {
+  const money = plain(parseMoney('$20 - $30'));
+  assert.strictEqual(money.amount, 20);
+  assert.deepStrictEqual(money.range, { min: 20, max: 30 });
+  assert.strictEqual(money.isFree, false);
+});
+
+test('reads "was ... now ..." as an original and a sale price', () => {
+  const money = plain(parseMoney('Was $80.00 Now $56.00'));
+  assert.strictEqual(money.amount, 56);
+  assert.strictEqual(money.originalPrice, 80);
+  assert.strictEqual(money.salePrice, 56);
+});
+
+test('reads a currency written after the amounts', () => {
+  const money = plain(parseMoney('49,90 € 29,90 €'));
+  assert.strictEqual(money.amount, 29.9);
+  assert.strictEqual(money.originalPrice, 49.9);
+});
+
+test('ignores a bare quantity between marked prices', () => {
+  const money = plain(parseMoney('$80.00 2 $56.00'));
+  assert.strictEqual(money.amount, 56);
+  assert.strictEqual(money.originalPrice, 80);
+});
+
+test('reads "Free" and a zero amount as free', () => {
+  assert.strictEqual(plain(parseMoney('Free')).isFree, true);
+  assert.strictEqual(plain(parseMoney('Free')).display, 'Free');
+  assert.strictEqual(plain(parseMoney('$0.00')).isFree, true);
+});
+
+test('falls back to the given currency', () => {
+  assert.strictEqual(plain(parseMoney('24.00', { currency: 'GBP' })).currency, 'GBP');
+  assert.strictEqual(plain(parseMoney('€24.00', { currency: 'GBP' })).currency, 'EUR');
+});
+
+test('returns null without a price', () => {
+  assert.strictEqual(parseMoney('Out of stock'), null);
+  assert.strictEqual(parseMoney(''), null);
+});
@@ -0,0 +1,96 @@
+//
+//  selectorEngine.test.js
+//  SkipTheCart
+//
+
+const test = require('node:test');
+const assert = require('assert');
+const { JSDOM } = require('jsdom');
+const { loadExtensionScripts } = require('./helpers/loadExtensionScripts');
+
+const dom = new JSDOM(`<!DOCTYPE html><body>
+  <dl class="details">
+    <dt><span>Size</span></dt><dd class="size">M</dd>
+    <dt><span>Color</span></dt><dd class="color">Black</dd>
+  </dl>
+  <ul class="lines">
+    <li class="line"><h3>Ribbed Tee</h3><span class="note">Final sale</span></li>
+    <li class="line"><h3>Wide Leg Jeans</h3></li>
+  </ul>
+  <dl class="summary">
+    <dt>Subtotal</dt><dd>$80.00</dd>
+    <dt> Total </dt><dd>$86.50</dd>
+  </dl>
+</body>`);
+const document = dom.window.document;
+
+const extension = loadExtensionScripts(['selectorEngine.js'], {
+  console: { log: () => {}, error: console.error, warn: () => {} },
+  Node: dom.window.Node
+});
+const extendedQueryAll = extension('extendedQueryAll');
+const extendedQuery = extension('extendedQuery');
+
+// Text of every match, in document order
+function texts(selector) {
+  return Array.from(extendedQueryAll(document, selector), element => element.textContent.trim());
+}
+
+test('plain CSS selectors match natively', () => {
+  assert.deepStrictEqual(texts('dd.size'), ['M']);
+  assert.deepStrictEqual(texts('.lines > .line h3'), ['Ribbed Tee', 'Wide Leg Jeans']);
+});
+
+test(':contains matches text case-sensitively', () => {
+  assert.deepStrictEqual(texts('h3:contains("Jeans")'), ['Wide Leg Jeans']);
+  assert.deepStrictEqual(texts('h3:contains("jeans")'), []);
+});
+
+test(':icontains matches text case-insensitively', () => {
+  assert.deepStrictEqual(texts('h3:icontains("jeans")'), ['Wide Leg Jeans']);
+  assert.deepStrictEqual(texts("dt:icontains('TOTAL')"), ['Subtotal', 'Total']);
+});
+
+test(':equals and :iequals match the whole text', () => {
+  assert.deepStrictEqual(texts('dt:equals("Total")'), ['Total']);
+  assert.deepStrictEqual(texts('dt:equals("total")'), []);
+  assert.deepStrictEqual(texts('dt:iequals("total") + dd'), ['$86.50']);
+  assert.deepStrictEqual(texts('dt:iequals("subtotal") + dd'), ['$80.00']);
+});
+
+test(':has takes a text pseudo-class', () => {
+  assert.deepStrictEqual(texts('.line:has(.note:contains("Final sale")) h3'), ['Ribbed Tee']);
+  assert.deepStrictEqual(texts('.line:has(span:contains("Returnable")) h3'), []);
+});
+
+test('+ after a text match finds the value next to the label', () => {
+  assert.deepStrictEqual(texts('dt:contains("Size") + dd'), ['M']);
+  assert.deepStrictEqual(texts('dt span:contains("Size") + dd'), ['M']);
+  assert.deepStrictEqual(texts('.summary dt:icontains("subtotal") + dd'), ['$80.00']);
+});
+
+test('~ after a text match climbs to the label\'s ancestors', () => {
+  assert.deepStrictEqual(texts('dt span:contains("Size") ~ dd'), ['M', 'Black']);
+  assert.deepStrictEqual(texts('dt span:contains("Color") ~ dd'), ['Black']);
+});
+
+test('selector lists return matches in document order without duplicates', () => {
+  assert.deepStrictEqual(texts('dd.color, dd.size, .details dd'), ['M', 'Black']);
+  assert.deepStrictEqual(texts('h3:contains("Tee"), h3:contains("Rib")'), ['Ribbed Tee']);
+});
+
+test('an invalid alternative does not hide the others', () => {
+  assert.deepStrictEqual(texts('dd.size, dd[unclosed'), ['M']);
+  assert.deepStrictEqual(texts('h3:contains("Tee"], dd.size'), ['M']);
+  assert.deepStrictEqual(texts('dd::bogus, h3:contains("Tee")'), ['Ribbed Tee']);
+});
+
+test('an unbalanced selector matches nothing instead of throwing', () => {
+  assert.deepStrictEqual(texts('h3:contains("Jeans"'), []);
+});
+
+test('extendedQuery returns the first match or null', () => {
+  assert.strictEqual(extendedQuery(document, 'dd').textContent, 'M');
+  assert.strictEqual(extendedQuery(document, 'dd:contains("XL")'), null);
+  assert.strictEqual(extendedQuery(document, ''), null);
+});
@@ -0,0 +1,92 @@
+//
+//  shopifyCart.test.js
+//  SkipTheCart
+//
+
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { loadExtensionScripts, plain } = require('./helpers/loadExtensionScripts');
+
+const extension = loadExtensionScripts(['money.js', 'shopifyCart.js']);
+const mapShopifyCart = extension('mapShopifyCart');
+const SHOPIFY_CART_SOURCE = extension('SHOPIFY_CART_SOURCE');
+
+// Saved /cart.js responses
+function loadCartFixture(name) {
+  return require(path.join(__dirname, 'fixtures', 'shopify-cart', `${name}.json`));
+}
+
+function formatCurrency(amount, currency) {
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency }).format(amount);
+}
+
+test('maps a line with variant options', () => {
+  const [item] = plain(mapShopifyCart(loadCartFixture('variant-options'), 'https://edikted.com'));
+
+  assert.strictEqual(item.productName, 'Ribbed Baby Tee');
+  assert.strictEqual(item.brand, 'Edikted');
+  assert.strictEqual(item.size, 'M');
+  assert.strictEqual(item.color, 'Black');
+  assert.deepStrictEqual(item.options, [
+    { name: 'Color', value: 'Black' },
+    { name: 'Size', value: 'M' }
+  ]);
+  assert.strictEqual(item.variantId, 44012345678901);
+  assert.strictEqual(item.lineKey, '44012345678901:7f3a9c1e2b4d6f8a0c1e3b5d7f9a1c3e');
+  assert.strictEqual(item.sku, 'EDK-RBT-BLK-M');
+  assert.strictEqual(item.quantity, 2);
+  assert.strictEqual(item.priceCents, 2400);
+  assert.strictEqual(item.price, formatCurrency(24, 'USD'));
+  assert.strictEqual(item.money.amount, 24);
+  assert.strictEqual(item.money.originalPrice, null);
+  assert.strictEqual(item.imageUrl, 'https://cdn.shopify.com/s/files/1/0000/0001/products/ribbed-baby-tee-black.jpg?v=1700000000');
+  assert.strictEqual(item.productUrl, 'https://edikted.com/products/ribbed-baby-tee?variant=44012345678901');
+  assert.strictEqual(item.source, SHOPIFY_CART_SOURCE);
+});
+
+test('maps a discounted line to its final price with the original kept', () => {
+  const [item] = plain(mapShopifyCart(loadCartFixture('discounted-line'), 'https://us.princesspolly.com'));
+
+  assert.strictEqual(item.priceCents, 6230);
+  assert.strictEqual(item.price, formatCurrency(62.3, 'USD'));
+  assert.strictEqual(item.money.amount, 62.3);
+  assert.strictEqual(item.money.originalPrice, 89);
+  assert.strictEqual(item.money.salePrice, 62.3);
+  // "Colour" is read as the color option too
+  assert.strictEqual(item.color, 'Sage');
+  assert.strictEqual(item.size, '6');
+  // Protocol-relative CDN URLs get https
+  assert.strictEqual(item.imageUrl, 'https://cdn.shopify.com/s/files/1/0000/0002/products/brigitte-mini-dress-sage.jpg?v=1700000001');
+});
+
+test('maps a line without an image', () => {
+  const [item] = plain(mapShopifyCart(loadCartFixture('no-image'), 'https://tigermist.com'));
+
+  assert.strictEqual(item.productName, 'Gift Card');
+  assert.strictEqual(item.imageUrl, '');
+  assert.strictEqual(item.sku, '');
+  assert.strictEqual(item.size, '');
+  assert.strictEqual(item.color, '');
+  assert.deepStrictEqual(item.options, [{ name: 'Denominations', value: '$50' }]);
+  assert.strictEqual(item.money.amount, 50);
+});
+
+test('prices every line in the cart currency', () => {
+  const items = plain(mapShopifyCart(loadCartFixture('multi-currency'), 'https://www.ohpolly.com'));
+
+  assert.strictEqual(items.length, 2);
+  items.forEach(item => {
+    assert.strictEqual(item.currency, 'EUR');
+    assert.strictEqual(item.money.currency, 'EUR');
+  });
+  assert.deepStrictEqual(items.map(item => item.money.amount), [49.95, 84.95]);
+  assert.deepStrictEqual(items.map(item => item.price), [formatCurrency(49.95, 'EUR'), formatCurrency(84.95, 'EUR')]);
+  // Localized storefront paths are kept
+  assert.strictEqual(items[0].productUrl, 'https://www.ohpolly.com/en-de/products/harlow-corset-top-ivory?variant=46055566677788');
+});
+
+test('returns no items for a payload that is not a cart', () => {
+  assert.strictEqual(mapShopifyCart(null).length, 0);
+  assert.strictEqual(mapShopifyCart({ status: 404, message: 'Not Found' }).length, 0);
+});